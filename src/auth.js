@@ -0,0 +1,122 @@
+// auth.js
+// Local shared-secret authentication for frontend clients
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { log, errorHandler } = require('./logger.js');
+
+// Close code sent to sockets that fail or skip authentication
+const AUTH_CLOSE_CODE = 4401;
+// Time a client has to send its auth frame before being disconnected
+const AUTH_TIMEOUT = 10000; // 10 seconds
+const TOKEN_FILE_NAME = 'backend-token';
+
+// Determine the appropriate directory for the token file based on environment
+function getTokenDirectory() {
+    // In Flatpak, use XDG_DATA_HOME so the frontend in the same sandbox can read it
+    if (process.env.FLATPAK_ID) {
+        return process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share', 'karere');
+    }
+
+    // For development/standalone, use local data directory
+    return 'data';
+}
+
+class AuthManager {
+    constructor() {
+        this.token = null;
+        this.tokenPath = path.join(getTokenDirectory(), TOKEN_FILE_NAME);
+        this.allowedOrigins = (process.env.KARERE_ALLOWED_ORIGINS || '')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    // Load the shared secret, generating it on first start
+    async initialize() {
+        try {
+            if (process.env.KARERE_AUTH_TOKEN) {
+                this.token = process.env.KARERE_AUTH_TOKEN;
+                log.auth('Using auth token from environment');
+                return;
+            }
+
+            try {
+                const stored = (await fs.readFile(this.tokenPath, 'utf8')).trim();
+                if (stored) {
+                    this.token = stored;
+                    log.auth('Loaded auth token', { path: this.tokenPath });
+                    return;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            this.token = crypto.randomBytes(32).toString('hex');
+            await fs.mkdir(path.dirname(this.tokenPath), { recursive: true });
+            await fs.writeFile(this.tokenPath, this.token, { mode: 0o600 });
+            log.auth('Generated new auth token', { path: this.tokenPath });
+
+        } catch (error) {
+            throw errorHandler.generic(error, 'auth token initialization');
+        }
+    }
+
+    // Constant-time comparison against the shared secret
+    verifyToken(candidate) {
+        if (!this.token || typeof candidate !== 'string' || candidate.length === 0) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.token);
+        const received = Buffer.from(candidate);
+        if (expected.length !== received.length) {
+            return false;
+        }
+
+        return crypto.timingSafeEqual(expected, received);
+    }
+
+    // Extract a token from the `token` query parameter or an Authorization: Bearer header
+    getRequestToken(request) {
+        if (!request) {
+            return null;
+        }
+
+        const authHeader = request.headers?.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            return authHeader.slice('Bearer '.length).trim();
+        }
+
+        try {
+            const url = new URL(request.url || '/', 'http://localhost');
+            return url.searchParams.get('token');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isRequestAuthenticated(request) {
+        return this.verifyToken(this.getRequestToken(request));
+    }
+
+    // Native clients send no Origin header; browser pages must be explicitly allowed
+    isOriginAllowed(origin) {
+        if (!origin) {
+            return true;
+        }
+
+        return this.allowedOrigins.includes(origin);
+    }
+}
+
+// Create singleton instance
+const authManager = new AuthManager();
+
+module.exports = authManager;
+module.exports.AUTH_CLOSE_CODE = AUTH_CLOSE_CODE;
+module.exports.AUTH_TIMEOUT = AUTH_TIMEOUT;
@@ -6,13 +6,16 @@ const { Boom } = require('@hapi/boom');
 const baileys = require('@whiskeysockets/baileys');
 const P = require('pino');
 const { WebSocketServer } = require('ws');
+const http = require('http');
 const qrcode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 // Import enhanced modules
 const { log, errorHandler, performance } = require('./logger.js');
+const { ErrorCodes, CommandError } = require('./errors.js');
 // Use fallback database when SQLite3 is not available (e.g., in Flatpak without native modules)
 let database;
 try {
@@ -26,17 +29,36 @@ try {
     log.info('Using file-based database (SQLite3 not available)');
 }
 const serviceManager = require('./service-manager.js');
+const clientRegistry = require('./client-registry.js');
+const authManager = require('./auth.js');
+const eventOutbox = require('./event-outbox.js');
+const commandRegistry = require('./command-registry.js');
+const protocol = require('./protocol.js');
+const { createHttpApi } = require('./http-api.js');
+const { parseVCard, buildVCard } = require('./vcard.js');
+const messageQueue = require('./message-queue.js');
+const { pollOptionHash, encryptPollVote } = require('./poll-vote.js');
 
 const makeWASocket = baileys.default;
 const {
     DisconnectReason,
     useMultiFileAuthState,
     fetchLatestBaileysVersion,
-    Browsers
+    Browsers,
+    BufferJSON,
+    generateMessageIDV2,
+    areJidsSameUser,
+    jidNormalizedUser,
+    isJidGroup,
+    isJidStatusBroadcast,
+    normalizeMessageContent,
+    proto
 } = baileys;
 
 // Configuration
 const PORT = process.env.PORT || 8765;
+const TRANSPORT = process.env.KARERE_TRANSPORT || 'tcp'; // 'tcp' or 'unix'
+const HOST = process.env.KARERE_HOST || '127.0.0.1'; // Other interfaces only when asked for
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY = 5000; // 5 seconds
 
@@ -51,17 +73,85 @@ function getAuthDirectory() {
     return 'baileys_auth_info';
 }
 
+// Determine where media sent from Karere is stored
+function getMediaDirectory() {
+    // In Flatpak, use XDG_DATA_HOME for persistent media
+    if (process.env.FLATPAK_ID) {
+        return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share', 'karere'), 'media');
+    }
+
+    // For development/standalone, use local data directory
+    return path.join('data', 'media');
+}
+
+// Determine the Unix domain socket path based on environment
+function getSocketPath() {
+    if (process.env.KARERE_SOCKET_PATH) {
+        return process.env.KARERE_SOCKET_PATH;
+    }
+
+    // XDG_RUNTIME_DIR is private to the user and cleared on logout
+    const runtimeDir = process.env.XDG_RUNTIME_DIR || os.tmpdir();
+    return path.join(runtimeDir, 'karere', 'backend.sock');
+}
+
+// Resolve the transport the frontend protocol is served over
+function getTransportConfig() {
+    if (TRANSPORT === 'unix') {
+        return { transport: 'unix', socketPath: getSocketPath() };
+    }
+
+    return { transport: 'tcp', host: HOST, port: Number(PORT) };
+}
+
+// Largest media file accepted from the frontend
+const MAX_MEDIA_SIZE = 100 * 1024 * 1024; // 100MB
+// Media that does not fit in one frame is uploaded in chunks of at most this many bytes
+const MEDIA_CHUNK_SIZE = 512 * 1024; // 512KB
+// Unfinished uploads are discarded after this long without a chunk
+const MEDIA_UPLOAD_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+// Largest frame accepted from an authenticated client: one base64 chunk plus the envelope
+const MAX_FRAME_SIZE = Math.ceil(MEDIA_CHUNK_SIZE * 4 / 3) + 64 * 1024;
+// Largest frame accepted before authentication, enough for the auth frame
+const MAX_AUTH_FRAME_SIZE = 4 * 1024; // 4KB
+
+const MIME_TYPES_BY_EXTENSION = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg; codecs=opus',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.zip': 'application/zip',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.odt': 'application/vnd.oasis.opendocument.text'
+};
+
 // Global state
-let clientSocket = null;
 let initialChatsPayload = null;
 let baileysConnectionStatus = 'closed';
 let sock = null;
-let clientIsWaitingForChats = false;
 let reconnectAttempts = 0;
 let isInitialized = false;
 
 // WebSocket server with enhanced error handling
 let wss = null;
+let httpServer = null;
+let listenConfig = null;
 
 
 
@@ -82,6 +172,22 @@ async function initializeBackend() {
         await database.initialize();
         serviceManager.registerService('database', database);
 
+        // Register frontend commands
+        registerCoreCommands();
+
+        // Outgoing messages survive restarts and are sent once WhatsApp is connected
+        messageQueue.configure({
+            database,
+            send: sendQueuedMessage,
+            isConnected: isWhatsAppConnected,
+            onChange: handleMessageQueueChange
+        });
+        serviceManager.registerService('message-queue', messageQueue);
+        serviceManager.addCronJob('scheduled-messages', '* * * * *', fireDueScheduledMessages);
+
+        // Load the shared secret clients must present
+        await authManager.initialize();
+
         // Initialize WebSocket server
         await initializeWebSocketServer();
         serviceManager.registerService('websocket', { shutdown: closeWebSocketServer });
@@ -100,13 +206,19 @@ async function initializeBackend() {
     }
 }
 
-async function initializeWebSocketServer() {
+async function initializeWebSocketServer(config = getTransportConfig()) {
     const timer = performance.start('websocket_server_init');
 
     try {
+        listenConfig = config;
+        // Plain HTTP requests are served by the REST API, upgrades by the WebSocket server
+        httpServer = http.createServer(createHttpApi({ authManager, commandRegistry }));
+
         wss = new WebSocketServer({
-            port: PORT,
-            perMessageDeflate: false // Disable compression for better performance
+            server: httpServer,
+            perMessageDeflate: false, // Disable compression for better performance
+            maxPayload: MAX_FRAME_SIZE,
+            verifyClient: verifyWebSocketClient
         });
 
         wss.on('connection', handleWebSocketConnection);
@@ -114,8 +226,10 @@ async function initializeWebSocketServer() {
             log.error('WebSocket server error', error);
         });
 
-        timer.end();
-        log.info(`WebSocket server started on ws://localhost:${PORT}`);
+        const address = await listen(httpServer, config);
+
+        timer.end({ transport: config.transport });
+        log.info(`WebSocket server started on ${address}`);
 
     } catch (error) {
         timer.end({ error: true });
@@ -123,32 +237,77 @@ async function initializeWebSocketServer() {
     }
 }
 
+// Start listening on either a TCP port or a Unix domain socket
+async function listen(server, config) {
+    if (config.transport === 'unix') {
+        await fs.mkdir(path.dirname(config.socketPath), { recursive: true, mode: 0o700 });
+        // Remove a stale socket left behind by a previous run
+        await fs.rm(config.socketPath, { force: true });
+    }
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        const onListening = () => {
+            server.off('error', reject);
+            resolve();
+        };
+
+        if (config.transport === 'unix') {
+            server.listen(config.socketPath, onListening);
+        } else {
+            server.listen(config.port, config.host, onListening);
+        }
+    });
+
+    server.on('error', (error) => {
+        log.error('HTTP server error', error);
+    });
+
+    if (config.transport === 'unix') {
+        // Only the current user may connect to the socket
+        await fs.chmod(config.socketPath, 0o600);
+        return `ws+unix://${config.socketPath}`;
+    }
+
+    return `ws://${config.host}:${config.port}`;
+}
+
+// Reject browser pages from unknown origins before the WebSocket upgrade
+function verifyWebSocketClient({ origin, req }) {
+    if (!authManager.isOriginAllowed(origin)) {
+        log.warn('Rejected WebSocket connection from disallowed origin', {
+            origin,
+            remoteAddress: req?.socket?.remoteAddress
+        });
+        return false;
+    }
+    return true;
+}
+
 async function closeWebSocketServer() {
     if (wss) {
-        return new Promise((resolve) => {
+        clientRegistry.closeAll();
+        await new Promise((resolve) => {
             wss.close(() => {
                 log.info('WebSocket server closed');
                 resolve();
             });
         });
     }
-}
-
 
+    if (httpServer) {
+        await new Promise((resolve) => httpServer.close(() => resolve()));
 
-function getDisplayMessage(msg) {
-    if (!msg) return '';
+        if (listenConfig?.transport === 'unix') {
+            await fs.rm(listenConfig.socketPath, { force: true });
+        }
+    }
+}
 
-    // Handle both regular messages and history messages
-    // History messages have structure: msg.message.message.conversation
-    // Regular messages have structure: msg.message.conversation
-    let messageObj = msg.message;
 
-    // If this is a history message, unwrap the nested structure
-    if (messageObj && messageObj.message) {
-        messageObj = messageObj.message;
-    }
 
+function getDisplayMessage(msg) {
+    const messageObj = unwrapMessage(msg);
     if (!messageObj) return '';
 
     // Handle different message types
@@ -159,349 +318,2808 @@ function getDisplayMessage(msg) {
     if (messageObj.audioMessage) return '[Audio]';
     if (messageObj.documentMessage) return messageObj.documentMessage.title || '[Document]';
     if (messageObj.stickerMessage) return '[Sticker]';
-    if (messageObj.locationMessage) return '[Location]';
-    if (messageObj.contactMessage) return '[Contact]';
+    if (messageObj.locationMessage) return messageObj.locationMessage.name || '[Location]';
+    if (messageObj.liveLocationMessage) return '[Live Location]';
+    if (messageObj.contactMessage) return messageObj.contactMessage.displayName || '[Contact]';
+    if (messageObj.contactsArrayMessage) return messageObj.contactsArrayMessage.displayName || '[Contacts]';
+
+    const poll = getPollCreation(messageObj);
+    if (poll) return poll.name || '[Poll]';
 
     return '[Unsupported Message]';
 }
 
-function handleWebSocketConnection(ws) {
+// Message content object, unwrapping the extra level history messages carry and
+// the disappearing, view-once and edit wrappers WhatsApp puts around the content
+function unwrapMessage(msg) {
+    let messageObj = msg?.message;
+
+    if (messageObj && messageObj.message) {
+        messageObj = messageObj.message;
+    }
+
+    return normalizeMessageContent(messageObj) || null;
+}
+
+// Fields that travel alongside the actual content and carry nothing to show
+const MESSAGE_METADATA_FIELDS = new Set(['messageContextInfo', 'senderKeyDistributionMessage']);
+
+// Whether a message carries content, as opposed to only encryption metadata or
+// a system notice (messageStubType) without a message body
+function hasMessageContent(msg) {
+    const messageObj = unwrapMessage(msg);
+    if (!messageObj) return false;
+
+    return Object.keys(messageObj).some(field => !MESSAGE_METADATA_FIELDS.has(field) && messageObj[field]);
+}
+
+// Reactions and protocol messages (edits, revokes, ...) change other messages
+// rather than adding to the conversation, so they are never stored as rows
+function isControlMessage(msg) {
+    const messageObj = unwrapMessage(msg);
+    return !!(messageObj?.reactionMessage || messageObj?.protocolMessage || messageObj?.pollUpdateMessage);
+}
+
+async function handleControlMessage(msg) {
+    const messageObj = unwrapMessage(msg);
+
+    if (messageObj?.reactionMessage) {
+        await handleReactionMessage(msg);
+    } else if (messageObj?.protocolMessage) {
+        await handleProtocolMessage(msg);
+    }
+    // Poll votes arrive encrypted; Baileys decrypts them and reports them via messages.update
+}
+
+// Group events recorded in the chat timeline, by WhatsApp's stub type
+const GROUP_EVENT_ACTIONS = {
+    [proto.WebMessageInfo.StubType.GROUP_CREATE]: 'create',
+    [proto.WebMessageInfo.StubType.GROUP_CHANGE_SUBJECT]: 'subject',
+    [proto.WebMessageInfo.StubType.GROUP_CHANGE_DESCRIPTION]: 'description',
+    [proto.WebMessageInfo.StubType.GROUP_CHANGE_ICON]: 'picture',
+    [proto.WebMessageInfo.StubType.GROUP_CHANGE_ANNOUNCE]: 'announcement',
+    [proto.WebMessageInfo.StubType.GROUP_CHANGE_RESTRICT]: 'locked',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_ADD]: 'add',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_REMOVE]: 'remove',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_LEAVE]: 'leave',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_INVITE]: 'join',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_PROMOTE]: 'promote',
+    [proto.WebMessageInfo.StubType.GROUP_PARTICIPANT_DEMOTE]: 'demote'
+};
+
+const PARTICIPANT_EVENT_ACTIONS = new Set(['add', 'remove', 'leave', 'join', 'promote', 'demote']);
+
+// Messages without a body that record something happening in a chat (a participant
+// joining, the encryption changing, ...). Group events are stored as 'system' messages;
+// everything else is ignored. Undecryptable messages also arrive this way and are
+// delivered again once Baileys manages to decrypt them.
+async function handleSystemMessage(msg, chatJid, collectionSession = null) {
+    const stubType = msg.messageStubType;
+    const action = GROUP_EVENT_ACTIONS[stubType];
+
+    if (stubType === proto.WebMessageInfo.StubType.CIPHERTEXT) {
+        log.debug('Message could not be decrypted yet', { id: msg.key?.id, chatJid });
+        return null;
+    }
+
+    if (!action || !isJidGroup(chatJid)) {
+        log.debug('Ignoring system message', {
+            id: msg.key?.id,
+            chatJid,
+            stubType: proto.WebMessageInfo.StubType[stubType] || stubType
+        });
+        return null;
+    }
+
+    const key = getMessageKey(msg);
+    const params = msg.messageStubParameters || [];
+    const event = {
+        action,
+        author: key.participant || msg.participant || null,
+        participants: PARTICIPANT_EVENT_ACTIONS.has(action) ? params.map(parseStubParticipant).filter(Boolean) : [],
+        value: PARTICIPANT_EVENT_ACTIONS.has(action) ? null : (params[0] ?? null)
+    };
+
+    const message = {
+        id: key.id,
+        chatJid,
+        fromMe: !!key.fromMe,
+        content: await describeGroupEvent(event),
+        type: 'system',
+        timestamp: getMessageTimestamp(msg),
+        status: getMessageStatus(msg),
+        senderJid: key.fromMe ? null : (event.author || chatJid),
+        senderName: null,
+        payload: event,
+        isNew: !await database.getMessage(key.id)
+    };
+
+    await database.ensureChat(chatJid);
+    await database.saveMessage(
+        message.id,
+        chatJid,
+        message.fromMe,
+        message.content,
+        message.timestamp,
+        'system',
+        message.status,
+        null,
+        collectionSession,
+        { senderJid: message.senderJid, payload: event }
+    );
+
+    return message;
+}
+
+// Participants in stub parameters are plain JIDs, or JSON objects in newer Baileys versions
+function parseStubParticipant(param) {
+    if (typeof param !== 'string' || !param.startsWith('{')) {
+        return param || null;
+    }
+
+    try {
+        return JSON.parse(param).id || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Name to show for someone mentioned in a system message
+async function getParticipantDisplayName(jid) {
+    if (!jid) return 'Someone';
+    if (sock?.user?.id && areJidsSameUser(jid, sock.user.id)) return 'You';
+
+    const contact = await database.getContact(jid);
+    return contact?.name || jid.split('@')[0];
+}
+
+// Timeline text for a group event, e.g. "Alice added Bob, Carol"
+async function describeGroupEvent({ action, author, participants, value }) {
+    const actor = await getParticipantDisplayName(author);
+    const names = (await Promise.all(participants.map(getParticipantDisplayName))).join(', ');
+
+    switch (action) {
+        case 'create': return `${actor} created the group "${value || ''}"`;
+        case 'subject': return `${actor} changed the group name to "${value || ''}"`;
+        case 'description': return `${actor} changed the group description`;
+        case 'picture': return `${actor} changed the group picture`;
+        case 'announcement':
+            return value === 'on'
+                ? `${actor} allowed only admins to send messages`
+                : `${actor} allowed all participants to send messages`;
+        case 'locked':
+            return value === 'on'
+                ? `${actor} allowed only admins to edit the group info`
+                : `${actor} allowed all participants to edit the group info`;
+        case 'add': return `${actor} added ${names}`;
+        case 'remove': return `${actor} removed ${names}`;
+        case 'leave': return `${names} left`;
+        case 'join': return `${names} joined using an invite link`;
+        case 'promote': return `${actor} made ${names} ${participants.length === 1 ? 'an admin' : 'admins'}`;
+        case 'demote': return `${actor} removed ${names} as admin`;
+        default: return '';
+    }
+}
+
+// Store one message received from WhatsApp, whether it arrived live, from history or
+// was sent from another of our devices. Reactions, edits, revokes and system notices
+// are routed to their own handlers. Returns the stored message, or null when nothing
+// was added to the conversation.
+async function ingestMessage(msg, { chatJid, senderName = msg.pushName || null, collectionSession = null } = {}) {
+    const key = getMessageKey(msg);
+    const jid = chatJid || key?.remoteJid;
+    if (!key?.id || !jid) {
+        return null;
+    }
+
+    if (isJidStatusBroadcast(jid)) {
+        log.debug('Ignoring status update', { id: key.id });
+        return null;
+    }
+
+    if (isControlMessage(msg)) {
+        await handleControlMessage(msg);
+        return null;
+    }
+
+    if (!hasMessageContent(msg)) {
+        return msg.messageStubType ? await handleSystemMessage(msg, jid, collectionSession) : null;
+    }
+
+    const fromMe = !!key.fromMe;
+    const isNew = !await database.getMessage(key.id);
+    const message = {
+        id: key.id,
+        chatJid: jid,
+        fromMe,
+        content: getDisplayMessage(msg),
+        type: getMessageType(msg),
+        timestamp: getMessageTimestamp(msg),
+        status: getMessageStatus(msg),
+        senderJid: getMessageSenderJid(msg),
+        senderName: fromMe ? null : senderName,
+        isNew
+    };
+    const options = getStoredMessageOptions(msg);
+
+    await database.ensureChat(jid);
+    await database.saveMessage(
+        message.id,
+        jid,
+        fromMe,
+        message.content,
+        message.timestamp,
+        message.type,
+        message.status,
+        message.senderName,
+        collectionSession,
+        options
+    );
+    await savePollFromMessage(message.id, jid, msg);
+
+    return { ...message, payload: splitStoredPayload(options.payload).payload };
+}
+
+// Find the contextInfo carried by a message, which holds the quoted message for replies
+function getContextInfo(msg) {
+    const messageObj = unwrapMessage(msg);
+    if (!messageObj) return null;
+
+    for (const content of Object.values(messageObj)) {
+        if (content && typeof content === 'object' && content.contextInfo) {
+            return content.contextInfo;
+        }
+    }
+
+    return null;
+}
+
+// Id of the message this message replies to, if any
+function getReplyToId(msg) {
+    return getContextInfo(msg)?.stanzaId || null;
+}
+
+// Structured content of locations and shared contacts, so the frontend can show
+// a map pin or offer to save the contact
+function getMessagePayload(msg) {
+    const messageObj = unwrapMessage(msg);
+    if (!messageObj) return null;
+
+    const location = messageObj.locationMessage || messageObj.liveLocationMessage;
+    if (location) {
+        return {
+            latitude: location.degreesLatitude,
+            longitude: location.degreesLongitude,
+            name: location.name || null,
+            address: location.address || null,
+            url: location.url || null,
+            live: !!messageObj.liveLocationMessage
+        };
+    }
+
+    if (messageObj.contactMessage) {
+        const { vcard, displayName } = messageObj.contactMessage;
+        return { contacts: [parseVCard(vcard, displayName)] };
+    }
+
+    if (messageObj.contactsArrayMessage) {
+        return {
+            name: messageObj.contactsArrayMessage.displayName || null,
+            contacts: (messageObj.contactsArrayMessage.contacts || [])
+                .map(contact => parseVCard(contact.vcard, contact.displayName))
+        };
+    }
+
+    return null;
+}
+
+// JID of whoever sent a message: the participant in a group chat, the chat itself
+// in a direct chat and null for our own messages
+function getMessageSenderJid(msg) {
+    const key = getMessageKey(msg);
+    if (!key || key.fromMe) return null;
+
+    return key.participant || msg.participant || key.remoteJid || null;
+}
+
+const QUOTED_SNIPPET_LENGTH = 100;
+
+// What a reply quotes, as WhatsApp embeds it. It is kept in the stored payload so
+// the reply can still be previewed when the quoted message is not stored locally.
+function getQuotedSnapshot(msg) {
+    const contextInfo = getContextInfo(msg);
+    if (!contextInfo?.stanzaId || !contextInfo.quotedMessage) return null;
+
+    const quoted = { message: contextInfo.quotedMessage };
+    return {
+        id: contextInfo.stanzaId,
+        participant: contextInfo.participant || null,
+        type: getMessageType(quoted),
+        // One character more than the snippet so the preview knows to add an ellipsis
+        content: getDisplayMessage(quoted).substring(0, QUOTED_SNIPPET_LENGTH + 1)
+    };
+}
+
+// Extra fields database.saveMessage stores for a message received from WhatsApp
+function getStoredMessageOptions(msg) {
+    const payload = getMessagePayload(msg);
+    const quoted = getQuotedSnapshot(msg);
+
+    return {
+        replyToId: getReplyToId(msg),
+        payload: quoted ? { ...payload, quoted } : payload,
+        senderJid: getMessageSenderJid(msg)
+    };
+}
+
+// Split a stored payload into the structured content sent to the frontend and the
+// quoted message snapshot, which is only used to build reply previews
+function splitStoredPayload(payload) {
+    if (!payload) return { payload: null, quoted: null };
+
+    const { quoted = null, ...content } = payload;
+    return { payload: Object.keys(content).length > 0 ? content : null, quoted };
+}
+
+function parseStoredPayload(payload) {
+    if (!payload) return null;
+
+    try {
+        return JSON.parse(payload);
+    } catch (error) {
+        log.debug('Ignoring unreadable message payload', { error: error.message });
+        return null;
+    }
+}
+
+// Compact description of a quoted message for rendering reply bubbles
+function formatQuotedPreview(row) {
+    if (!row || !row.id) return null;
+
+    const fromMe = row.quoted_from_me === 1 || row.quoted_from_me === true;
+    const content = row.quoted_content || '';
+    const sender = row.quoted_sender_jid || row.quoted_chat_jid;
+
+    return {
+        id: row.id,
+        fromMe,
+        sender: fromMe ? 'me' : sender,
+        senderName: fromMe ? 'You' : (row.quoted_sender_name || sender),
+        type: row.quoted_message_type || 'text',
+        deleted: row.quoted_is_deleted === 1,
+        snippet: content.length > QUOTED_SNIPPET_LENGTH ? `${content.substring(0, QUOTED_SNIPPET_LENGTH)}…` : content
+    };
+}
+
+// Reply preview built from a quoted message snapshot
+async function formatQuotedSnapshot(quoted, chatJid) {
+    const participant = quoted.participant || chatJid;
+    const fromMe = !!sock?.user?.id && areJidsSameUser(participant, sock.user.id);
+    const contact = fromMe ? null : await database.getContact(participant);
+
+    return formatQuotedPreview({
+        id: quoted.id,
+        quoted_from_me: fromMe,
+        quoted_chat_jid: chatJid,
+        quoted_sender_jid: participant,
+        quoted_sender_name: contact?.name || null,
+        quoted_message_type: quoted.type,
+        quoted_content: quoted.content
+    });
+}
+
+// Build the reply preview for an incoming message, falling back to the copy of the
+// quoted message WhatsApp embeds when the original is not stored locally
+async function getIncomingReplyPreview(msg, chatJid) {
+    const contextInfo = getContextInfo(msg);
+    if (!contextInfo?.stanzaId) return null;
+
+    const stored = await database.getMessagePreview(contextInfo.stanzaId);
+    if (stored) {
+        return formatQuotedPreview(stored);
+    }
+
+    const quoted = getQuotedSnapshot(msg);
+    return quoted ? formatQuotedSnapshot(quoted, chatJid) : null;
+}
+
+function handleWebSocketConnection(ws, request) {
     const timer = performance.start('websocket_connection');
 
-    log.websocket('Frontend client connected');
-    clientSocket = ws;
+    const client = clientRegistry.add(ws, {
+        remoteAddress: request?.socket?.remoteAddress,
+        authenticated: authManager.isRequestAuthenticated(request)
+    });
+    log.websocket('Frontend client connected', {
+        clientId: client.id,
+        authenticated: client.authenticated,
+        clients: clientRegistry.count()
+    });
 
-    // Send ready signal if Baileys is already connected
-    if (baileysConnectionStatus === 'open') {
-        log.websocket('Frontend connected while Baileys is ready. Sending ready signal.');
-        sendToFrontend('baileys_ready', {});
+    if (client.authenticated) {
+        handleClientAuthenticated(client);
+    } else {
+        // Give the client a short window to send an auth frame
+        client.authTimer = setTimeout(() => {
+            closeUnauthenticatedClient(client, 'Authentication timeout');
+        }, authManager.AUTH_TIMEOUT);
     }
 
     ws.on('message', async (message) => {
+        if (!client.authenticated && message.length > MAX_AUTH_FRAME_SIZE) {
+            closeUnauthenticatedClient(client, 'Auth frame too large');
+            return;
+        }
+
         const messageTimer = performance.start('websocket_message_processing');
 
         try {
             const parsedMessage = JSON.parse(message);
-            log.websocket('Received command from frontend', { type: parsedMessage.type });
+            log.websocket('Received command from frontend', { clientId: client.id, type: parsedMessage.type });
 
-            await handleFrontendCommand(parsedMessage);
+            if (client.authenticated) {
+                await handleFrontendCommand(client, parsedMessage);
+            } else {
+                handleAuthFrame(client, parsedMessage);
+            }
 
             messageTimer.end({ type: parsedMessage.type });
 
         } catch (error) {
             messageTimer.end({ error: true });
-            const errorResponse = errorHandler.websocket(error, 'message processing');
-            sendToFrontend('error', errorResponse);
+            if (!client.authenticated) {
+                closeUnauthenticatedClient(client, 'Malformed auth frame');
+                return;
+            }
+            const errorResponse = errorHandler.command(new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Malformed command frame', {
+                details: error.message
+            }), 'message processing');
+            sendToClient(client, 'error', errorResponse, { ok: false, error: errorResponse });
         }
     });
 
     ws.on('close', (code, reason) => {
-        clientSocket = null;
-        clientIsWaitingForChats = false;
+        clearTimeout(client.authTimer);
+        clientRegistry.remove(client);
         timer.end();
-        log.websocket('Frontend client disconnected', { code, reason: reason?.toString() });
+        log.websocket('Frontend client disconnected', { clientId: client.id, code, reason: reason?.toString() });
     });
 
     ws.on('error', (error) => {
         const errorResponse = errorHandler.websocket(error, 'connection');
-        log.websocket('WebSocket connection error', errorResponse);
+        log.websocket('WebSocket connection error', { clientId: client.id, ...errorResponse });
     });
 }
 
-async function handleFrontendCommand(parsedMessage) {
-    const { type, data } = parsedMessage;
-
-    switch (type) {
-        case 'get_initial_chats':
-            await handleGetInitialChats();
-            break;
+function buildHelloPayload(client) {
+    const outboxStatus = eventOutbox.getStatus();
 
-        case 'send_message':
-            await handleSendMessage(data);
-            break;
-
-        case 'get_message_history':
-            await handleGetMessageHistory(data);
-            break;
+    return {
+        ...protocol.buildHello(commandRegistry),
+        session: {
+            clientId: client.id,
+            epoch: outboxStatus.epoch,
+            latestSeq: outboxStatus.lastSeq
+        }
+    };
+}
 
-        case 'typing_start':
-            await handleTypingStart(data);
-            break;
+// Accept only an `auth` frame carrying the shared secret from unauthenticated clients
+function handleAuthFrame(client, parsedMessage) {
+    const ctx = createCommandContext(client, parsedMessage);
 
-        case 'typing_stop':
-            await handleTypingStop(data);
-            break;
+    if (parsedMessage.type !== 'auth' || !authManager.verifyToken(parsedMessage.data?.token)) {
+        closeUnauthenticatedClient(client, parsedMessage.type === 'auth' ? 'Invalid token' : 'Authentication required');
+        return;
+    }
 
-        case 'health_check':
-            await handleHealthCheck();
-            break;
+    client.authenticated = true;
+    clearTimeout(client.authTimer);
+    log.auth('Frontend client authenticated', { clientId: client.id });
 
-        case 'sync_contacts':
-            await handleSyncContacts();
-            break;
+    reply(ctx, 'auth_ok', {});
+    handleClientAuthenticated(client);
+}
 
-        case 'get_contact_info':
-            await handleGetContactInfo(data);
-            break;
+function handleClientAuthenticated(client) {
+    // Announce the backend's version and capabilities, and where the event
+    // stream currently is so the client can resume later
+    sendToClient(client, 'hello', buildHelloPayload(client));
 
-        default:
-            log.warn('Unknown command type', { type });
-            sendToFrontend('error', {
-                type: 'unknown_command',
-                message: `Unknown command: ${type}`
-            });
+    // Send ready signal if Baileys is already connected
+    if (baileysConnectionStatus === 'open') {
+        log.websocket('Frontend connected while Baileys is ready. Sending ready signal.', { clientId: client.id });
+        sendToClient(client, 'baileys_ready', {});
     }
 }
 
-async function handleGetInitialChats() {
-    try {
-        if (initialChatsPayload) {
-            log.info('Client requested chats. Sending cached list.');
-            sendToFrontend('initial_chats', initialChatsPayload);
-        } else {
-            // Try to load from database
-            const dbChats = await database.getChats();
-            if (dbChats.length > 0) {
-                const chats = dbChats.map(chat => ({
-                    jid: chat.jid,
-                    name: chat.contact_name || chat.name || chat.jid, // Prefer contact name
-                    lastMessage: formatLastMessageContent(chat.last_message_content, chat.last_message_type || 'text'),
-                    timestamp: chat.last_message_timestamp,
-                    lastMessageType: chat.last_message_type || 'text',
-                    lastMessageFrom: chat.last_message_from,
-                    unreadCount: chat.unread_count || 0,
-                    avatarBase64: chat.contact_avatar_base64, // Contact avatar
-                    chatAvatarBase64: chat.avatar_base64, // Chat-specific avatar (for groups)
-                    phoneNumber: chat.contact_phone_number
-                }));
-
-                sendToFrontend('initial_chats', { chats });
-                log.info('Sent chats from database', { count: chats.length });
-            } else {
-                log.info('Cache is empty, setting client waiting flag to true.');
-                clientIsWaitingForChats = true;
-            }
-        }
-    } catch (error) {
-        const errorResponse = errorHandler.database(error, 'get initial chats');
-        sendToFrontend('error', errorResponse);
-    }
+function closeUnauthenticatedClient(client, reason) {
+    log.warn('Closing unauthenticated frontend client', { clientId: client.id, reason });
+    clearTimeout(client.authTimer);
+    client.ws.close(authManager.AUTH_CLOSE_CODE, reason);
 }
 
-function sendToFrontend(type, data) {
+async function handleFrontendCommand(client, parsedMessage) {
+    const { type, data } = parsedMessage;
+    const ctx = createCommandContext(client, parsedMessage);
+
     try {
-        if (clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-            const message = JSON.stringify({ type, data });
-            clientSocket.send(message);
-            log.websocket('Sent message to frontend', { type, dataSize: message.length });
-        } else {
-            log.warn('Cannot send to frontend: no active connection', { type });
-        }
+        await commandRegistry.dispatch(ctx, type, data);
     } catch (error) {
-        log.error('Error sending message to frontend', error, { type });
+        const errorResponse = errorHandler.command(error, type);
+        replyError(ctx, 'error', { ...errorResponse, command: type });
     }
 }
 
-async function handleSendMessage(data) {
-    const timer = performance.start('send_message');
-    const { to, message } = data;
+function isWhatsAppConnected() {
+    return !!sock && baileysConnectionStatus === 'open';
+}
 
-    try {
-        // Validate input
-        if (!to || !message) {
-            throw new Error('Missing required fields: to, message');
-        }
+// Register the built-in frontend commands with the command registry
+function registerCoreCommands() {
+    commandRegistry.defineRequirement('connected',
+        isWhatsAppConnected,
+        'Not connected to WhatsApp',
+        ErrorCodes.NOT_CONNECTED);
+
+    commandRegistry.register({
+        name: 'get_initial_chats',
+        description: 'Get the chat list',
+        handler: handleGetInitialChats
+    });
 
-        if (!sock || baileysConnectionStatus !== 'open') {
-            throw new Error('Not connected to WhatsApp');
-        }
+    commandRegistry.register({
+        name: 'send_message',
+        description: 'Send a text message',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            message: { type: 'string', required: true, minLength: 1, maxLength: 65536 },
+            replyTo: { type: 'string', minLength: 1 }
+        },
+        handler: handleSendMessage
+    });
+
+    commandRegistry.register({
+        name: 'send_poll',
+        description: 'Send a poll',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+            options: {
+                type: 'array',
+                required: true,
+                minLength: 2,
+                maxLength: 12,
+                items: { type: 'string', minLength: 1, maxLength: 100 }
+            },
+            selectableCount: { type: 'integer', min: 0, default: 1 }
+        },
+        handler: handleSendPoll
+    });
+
+    commandRegistry.register({
+        name: 'send_location',
+        description: 'Send a location',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            latitude: { type: 'number', required: true, min: -90, max: 90 },
+            longitude: { type: 'number', required: true, min: -180, max: 180 },
+            name: { type: 'string', maxLength: 255 },
+            address: { type: 'string', maxLength: 1024 }
+        },
+        handler: handleSendLocation
+    });
 
-        log.message('Sending message', { to, messageLength: message.length });
+    commandRegistry.register({
+        name: 'send_contact',
+        description: 'Send one or more contact cards',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            contacts: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                maxLength: 20,
+                items: { type: 'object' }
+            }
+        },
+        handler: handleSendContact
+    });
 
-        // Generate message ID
-        const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    commandRegistry.register({
+        name: 'get_poll_results',
+        description: 'Get the current tally of a poll',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleGetPollResults
+    });
 
-        // Send message via Baileys
-        const sentMessage = await sock.sendMessage(to, { text: message });
-        const actualMessageId = sentMessage.key.id;
+    commandRegistry.register({
+        name: 'vote_poll',
+        description: 'Vote in a poll, or retract the vote with no options',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 },
+            options: {
+                type: 'array',
+                required: true,
+                maxLength: 12,
+                items: { type: 'string', minLength: 1, maxLength: 100 }
+            }
+        },
+        requires: ['connected'],
+        handler: handleVotePoll
+    });
 
-        // Save to database
-        await database.saveMessage(
-            actualMessageId,
-            to,
-            true, // fromMe
-            message,
-            Date.now(),
-            'text',
-            'sent'
-        );
+    commandRegistry.register({
+        name: 'schedule_message',
+        description: 'Send a text message at a later time',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            message: { type: 'string', required: true, minLength: 1, maxLength: 65536 },
+            sendAt: { type: 'integer', required: true, min: 0 },
+            replyTo: { type: 'string', minLength: 1 }
+        },
+        handler: handleScheduleMessage
+    });
 
-        // Update chat in database with message details
-        await database.saveChat(to, null, actualMessageId, Date.now(), null, 'text', 'me');
+    commandRegistry.register({
+        name: 'list_scheduled_messages',
+        description: 'List scheduled messages',
+        schema: {
+            state: { type: 'string', enum: ['scheduled', 'fired', 'sent', 'failed', 'cancelled'] },
+            jid: { type: 'string', minLength: 1 }
+        },
+        handler: handleListScheduledMessages
+    });
 
-        // Confirm message sent
-        sendToFrontend('message_sent', {
-            to,
-            message,
-            messageId: actualMessageId,
-            timestamp: Date.now()
-        });
+    commandRegistry.register({
+        name: 'cancel_scheduled_message',
+        description: 'Cancel a scheduled message before it is sent',
+        schema: {
+            id: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleCancelScheduledMessage
+    });
+
+    commandRegistry.register({
+        name: 'retry_message',
+        description: 'Retry sending a queued or failed message now',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleRetryMessage
+    });
+
+    commandRegistry.register({
+        name: 'cancel_message',
+        description: 'Cancel a message that has not been sent yet',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleCancelMessage
+    });
+
+    commandRegistry.register({
+        name: 'send_media',
+        description: 'Send an image, video, audio file, sticker or document',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 },
+            filePath: { type: 'string', minLength: 1 },
+            data: { type: 'string', minLength: 1 },
+            uploadId: { type: 'string', minLength: 1 },
+            mimeType: { type: 'string', minLength: 1 },
+            mediaType: { type: 'string', enum: ['image', 'video', 'audio', 'sticker', 'document'] },
+            caption: { type: 'string', maxLength: 65536 },
+            fileName: { type: 'string', maxLength: 255 },
+            ptt: { type: 'boolean' }
+        },
+        requires: ['connected'],
+        handler: handleSendMedia
+    });
+
+    commandRegistry.register({
+        name: 'start_media_upload',
+        description: 'Start a chunked media upload for send_media',
+        schema: {
+            size: { type: 'integer', required: true, min: 1, max: MAX_MEDIA_SIZE },
+            mimeType: { type: 'string', required: true, minLength: 1 },
+            fileName: { type: 'string', maxLength: 255 }
+        },
+        handler: handleStartMediaUpload
+    });
+
+    commandRegistry.register({
+        name: 'upload_media_chunk',
+        description: 'Append a chunk of base64 bytes to a media upload',
+        schema: {
+            uploadId: { type: 'string', required: true, minLength: 1 },
+            offset: { type: 'integer', required: true, min: 0 },
+            data: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleUploadMediaChunk
+    });
+
+    commandRegistry.register({
+        name: 'send_reaction',
+        description: 'React to a message with an emoji',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 },
+            emoji: { type: 'string', required: true, minLength: 1, maxLength: 32 }
+        },
+        requires: ['connected'],
+        handler: handleSendReaction
+    });
+
+    commandRegistry.register({
+        name: 'remove_reaction',
+        description: 'Remove your reaction from a message',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleRemoveReaction
+    });
+
+    commandRegistry.register({
+        name: 'edit_message',
+        description: 'Edit the text of a message you sent',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 },
+            message: { type: 'string', required: true, minLength: 1, maxLength: 65536 }
+        },
+        requires: ['connected'],
+        handler: handleEditMessage
+    });
+
+    commandRegistry.register({
+        name: 'delete_message',
+        description: 'Delete a message for yourself or, for your own messages, for everyone',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 },
+            forEveryone: { type: 'boolean', default: false }
+        },
+        requires: ['connected'],
+        handler: handleDeleteMessage
+    });
+
+    commandRegistry.register({
+        name: 'get_message_edits',
+        description: 'Get the previous versions of an edited message',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleGetMessageEdits
+    });
+
+    commandRegistry.register({
+        name: 'get_message_receipts',
+        description: 'Get per-participant delivery and read receipts for a message',
+        schema: {
+            messageId: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleGetMessageReceipts
+    });
+
+    commandRegistry.register({
+        name: 'mark_read',
+        description: 'Send read receipts for the unread messages of a chat and reset its unread count',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleMarkRead
+    });
+
+    commandRegistry.register({
+        name: 'get_group_info',
+        description: 'Get the subject, settings and participants of a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            refresh: { type: 'boolean', default: false }
+        },
+        handler: handleGetGroupInfo
+    });
+
+    commandRegistry.register({
+        name: 'create_group',
+        description: 'Create a group with the given participants',
+        schema: {
+            subject: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+            participants: { type: 'array', required: true, minLength: 1, items: { type: 'string', minLength: 1 } }
+        },
+        requires: ['connected'],
+        handler: handleCreateGroup
+    });
+
+    commandRegistry.register({
+        name: 'update_group_participants',
+        description: 'Add, remove, promote or demote group participants',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            action: { type: 'string', required: true, enum: ['add', 'remove', 'promote', 'demote'] },
+            participants: { type: 'array', required: true, minLength: 1, items: { type: 'string', minLength: 1 } }
+        },
+        requires: ['connected'],
+        handler: handleUpdateGroupParticipants
+    });
+
+    commandRegistry.register({
+        name: 'set_group_subject',
+        description: 'Change the name of a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            subject: { type: 'string', required: true, minLength: 1, maxLength: 100 }
+        },
+        requires: ['connected'],
+        handler: handleSetGroupSubject
+    });
+
+    commandRegistry.register({
+        name: 'set_group_description',
+        description: 'Change or clear the description of a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            description: { type: 'string', maxLength: 2048, default: '' }
+        },
+        requires: ['connected'],
+        handler: handleSetGroupDescription
+    });
 
-        timer.end({ to, messageLength: message.length });
-        log.message('Message sent successfully', { to, messageId: actualMessageId });
+    commandRegistry.register({
+        name: 'set_group_picture',
+        description: 'Change or remove the picture of a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            filePath: { type: 'string', minLength: 1 },
+            data: { type: 'string', minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleSetGroupPicture
+    });
 
+    commandRegistry.register({
+        name: 'set_group_settings',
+        description: 'Restrict who can send messages or edit the group info',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            announcement: { type: 'boolean' },
+            locked: { type: 'boolean' }
+        },
+        requires: ['connected'],
+        handler: handleSetGroupSettings
+    });
+
+    commandRegistry.register({
+        name: 'leave_group',
+        description: 'Leave a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleLeaveGroup
+    });
+
+    commandRegistry.register({
+        name: 'get_group_invite_link',
+        description: 'Get the invite link of a group',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleGetGroupInviteLink
+    });
+
+    commandRegistry.register({
+        name: 'revoke_group_invite_link',
+        description: 'Invalidate the invite link of a group and get a new one',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleRevokeGroupInviteLink
+    });
+
+    commandRegistry.register({
+        name: 'accept_group_invite',
+        description: 'Join a group through an invite link or code',
+        schema: {
+            code: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleAcceptGroupInvite
+    });
+
+    commandRegistry.register({
+        name: 'get_message_history',
+        description: 'Get stored messages for a chat',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 },
+            limit: { type: 'integer', min: 1, max: 500, default: 50 },
+            offset: { type: 'integer', min: 0, default: 0 }
+        },
+        handler: handleGetMessageHistory
+    });
+
+    commandRegistry.register({
+        name: 'typing_start',
+        description: 'Show the typing indicator in a chat',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleTypingStart
+    });
+
+    commandRegistry.register({
+        name: 'typing_stop',
+        description: 'Clear the typing indicator in a chat',
+        schema: {
+            to: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleTypingStop
+    });
+
+    commandRegistry.register({
+        name: 'block_contact',
+        description: 'Block a contact',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleBlockContact
+    });
+
+    commandRegistry.register({
+        name: 'unblock_contact',
+        description: 'Unblock a contact',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleUnblockContact
+    });
+
+    commandRegistry.register({
+        name: 'get_blocklist',
+        description: 'List blocked contacts',
+        schema: {
+            refresh: { type: 'boolean', default: false }
+        },
+        handler: handleGetBlocklist
+    });
+
+    commandRegistry.register({
+        name: 'subscribe_presence',
+        description: 'Receive online, last seen and typing updates for a chat',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        requires: ['connected'],
+        handler: handleSubscribePresence
+    });
+
+    commandRegistry.register({
+        name: 'health_check',
+        description: 'Report backend and WhatsApp connection health',
+        handler: handleHealthCheck
+    });
+
+    commandRegistry.register({
+        name: 'sync_contacts',
+        description: 'Synchronize contact information for recent chats',
+        requires: ['connected'],
+        handler: handleSyncContacts
+    });
+
+    commandRegistry.register({
+        name: 'get_contact_info',
+        description: 'Get stored information about a contact',
+        schema: {
+            jid: { type: 'string', required: true, minLength: 1 }
+        },
+        handler: handleGetContactInfo
+    });
+
+    commandRegistry.register({
+        name: 'resume',
+        description: 'Replay broadcast events missed since a sequence number',
+        schema: {
+            lastSeq: { type: 'integer', required: true, min: 0 },
+            epoch: { type: 'string' }
+        },
+        handler: handleResume
+    });
+
+    commandRegistry.register({
+        name: 'hello',
+        description: 'Exchange protocol versions and capabilities',
+        schema: {
+            protocolVersion: { type: 'integer', required: true, min: 1 },
+            client: { type: 'string', maxLength: 100 },
+            clientVersion: { type: 'string', maxLength: 50 },
+            features: { type: 'array', items: { type: 'string' } }
+        },
+        handler: handleHello
+    });
+
+    commandRegistry.register({
+        name: 'list_commands',
+        description: 'List the available commands',
+        handler: handleListCommands
+    });
+}
+
+// Record what the client speaks and answer with the backend's capabilities
+async function handleHello(ctx, data) {
+    const { protocolVersion, client: clientName, clientVersion, features = [] } = data;
+
+    if (!protocol.isProtocolSupported(protocolVersion)) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, `Unsupported protocol version: ${protocolVersion}`, {
+            details: `Backend supports protocol versions ${protocol.MIN_PROTOCOL_VERSION} to ${protocol.PROTOCOL_VERSION}`
+        });
+    }
+
+    ctx.client.info = {
+        name: clientName || null,
+        version: clientVersion || null,
+        protocolVersion,
+        features
+    };
+    log.websocket('Client hello received', { clientId: ctx.client.id, ...ctx.client.info });
+
+    reply(ctx, 'hello', buildHelloPayload(ctx.client));
+}
+
+async function handleListCommands(ctx) {
+    reply(ctx, 'command_list', { commands: commandRegistry.list() });
+}
+
+async function handleGetInitialChats(ctx) {
+    try {
+        if (initialChatsPayload) {
+            log.info('Client requested chats. Sending cached list.');
+            reply(ctx, 'initial_chats', initialChatsPayload);
+        } else {
+            // Try to load from database
+            const dbChats = await database.getChats();
+            if (dbChats.length > 0) {
+                const chats = dbChats.map(formatChatForFrontend);
+
+                reply(ctx, 'initial_chats', { chats });
+                log.info('Sent chats from database', { count: chats.length });
+            } else {
+                log.info('Cache is empty, marking client as waiting for chats.', { clientId: ctx.client.id });
+                ctx.client.pendingChatsRequest = ctx;
+            }
+        }
+    } catch (error) {
+        const errorResponse = errorHandler.database(error, 'get initial chats');
+        replyError(ctx, 'error', errorResponse);
+    }
+}
+
+// Broadcast an event to every connected frontend client. Every event is
+// sequenced and buffered so a reconnecting client can have it replayed.
+function sendToFrontend(type, data) {
+    try {
+        const event = eventOutbox.append(type, data);
+
+        if (clientRegistry.count() === 0) {
+            log.warn('No active connection, event kept in outbox', { type, seq: event.seq });
+            return;
+        }
+
+        const message = JSON.stringify({ type, seq: event.seq, data });
+        const delivered = clientRegistry.broadcast(message);
+        log.websocket('Sent message to frontend', { type, dataSize: message.length, clients: delivered });
+    } catch (error) {
+        log.error('Error sending message to frontend', error, { type });
+    }
+}
+
+// Send a message to a single client. Command responses carry the request's
+// correlation ID and an ok/error envelope in addition to the event type.
+function sendToClient(client, type, data, envelope = {}) {
+    try {
+        const message = JSON.stringify({ type, ...envelope, data });
+        if (clientRegistry.send(client, message)) {
+            log.websocket('Sent message to client', { clientId: client.id, type, dataSize: message.length });
+        } else {
+            log.warn('Cannot send to client: connection not open', { clientId: client?.id, type });
+        }
+    } catch (error) {
+        log.error('Error sending message to client', error, { clientId: client?.id, type });
+    }
+}
+
+// Build the context used to address responses back to the requesting client
+function createCommandContext(client, parsedMessage) {
+    const { type, requestId } = parsedMessage;
+
+    const ctx = {
+        client,
+        command: type,
+        requestId: (typeof requestId === 'string' || typeof requestId === 'number') ? requestId : null
+    };
+
+    // Transports decide how a reply reaches the caller; commands registered
+    // outside this module can answer through these without importing it
+    ctx.reply = (replyType, data) => sendToClient(client, replyType, data, buildEnvelope(ctx, true));
+    ctx.replyError = (replyType, error, data = error) => sendToClient(client, replyType, data, buildEnvelope(ctx, false, error));
+
+    return ctx;
+}
+
+function buildEnvelope(ctx, ok, error = null) {
+    const envelope = { ok };
+    if (ctx.requestId !== null) {
+        envelope.requestId = ctx.requestId;
+    }
+    if (error) {
+        envelope.error = error;
+    }
+    return envelope;
+}
+
+// Send a successful command response to the requesting client
+function reply(ctx, type, data) {
+    ctx.reply(type, data);
+}
+
+// Send a failed command response; data defaults to the error for older frontends
+function replyError(ctx, type, error, data = error) {
+    ctx.replyError(type, error, data);
+}
+
+// Deliver the chat list to every client that asked for it before it was available
+function sendInitialChatsToWaitingClients() {
+    let delivered = 0;
+
+    for (const client of clientRegistry.all()) {
+        if (client.pendingChatsRequest) {
+            reply(client.pendingChatsRequest, 'initial_chats', initialChatsPayload);
+            client.pendingChatsRequest = null;
+            delivered++;
+        }
+    }
+
+    return delivered;
+}
+
+// Replay the events a reconnecting client missed since its last seen sequence
+async function handleResume(ctx, data) {
+    const lastSeq = data?.lastSeq;
+    const events = eventOutbox.since(lastSeq, data?.epoch);
+    const status = eventOutbox.getStatus();
+
+    if (events === null) {
+        log.websocket('Client must resync, missed events are no longer buffered', {
+            clientId: ctx.client.id,
+            lastSeq,
+            oldestSeq: status.oldestSeq
+        });
+        reply(ctx, 'resync_required', {
+            lastSeq,
+            epoch: status.epoch,
+            latestSeq: status.lastSeq
+        });
+        return;
+    }
+
+    for (const event of events) {
+        sendToClient(ctx.client, event.type, event.data, { seq: event.seq, replayed: true });
+    }
+
+    reply(ctx, 'resume_ok', {
+        replayed: events.length,
+        epoch: status.epoch,
+        latestSeq: status.lastSeq
+    });
+    log.websocket('Replayed missed events to client', { clientId: ctx.client.id, lastSeq, replayed: events.length });
+}
+
+async function handleSendMessage(ctx, data) {
+    const { to, message, replyTo } = data;
+
+    // Resolve the quoted message up front so an unknown id is rejected before queueing
+    let replyPreview = null;
+    if (replyTo) {
+        const quotedRow = await database.getMessagePreview(replyTo);
+        if (!quotedRow) {
+            throw new CommandError(ErrorCodes.NOT_FOUND, `Message to reply to not found: ${replyTo}`);
+        }
+        replyPreview = formatQuotedPreview(quotedRow);
+    }
+
+    try {
+        log.message('Sending message', { to, messageLength: message.length, replyTo });
+
+        const { messageId, timestamp, settled } = await queueTextMessage(to, message, replyTo);
+
+        const details = { to, message, messageId, timestamp, replyTo: replyPreview };
+        reply(ctx, 'message_queued', { ...details, status: 'pending' });
+
+        // Also confirm the outcome to the requesting client; everyone else follows message_status events
+        settled.then((outcome) => {
+            if (outcome.status === 'sent') {
+                reply(ctx, 'message_sent', details);
+            } else if (outcome.status === 'failed') {
+                const errorResponse = formatSendFailure(outcome, 'Message could not be sent');
+                replyError(ctx, 'message_error', errorResponse, { messageId, to, error: errorResponse });
+            }
+        });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'send message');
+        replyError(ctx, 'message_error', errorResponse);
+    }
+}
+
+// Error response for a queued message that failed permanently
+function formatSendFailure(outcome, message) {
+    return {
+        type: 'messaging_error',
+        message,
+        details: outcome.error?.message || 'Unknown error',
+        code: outcome.error?.code || ErrorCodes.INTERNAL,
+        retryable: false
+    };
+}
+
+// Put a message on the outgoing queue. Returns its id, the time it was queued
+// and a promise that settles once it was sent, failed or was cancelled.
+// The id is chosen up front so the message keeps it from the queue to WhatsApp.
+async function queueMessage(to, content, { displayContent, messageType = 'text', replyTo = null, payload = null, messageId = generateMessageIDV2(sock?.user?.id) }) {
+    const settled = messageQueue.whenSettled(messageId);
+
+    let queued;
+    try {
+        queued = await messageQueue.enqueue({
+            id: messageId,
+            chatJid: to,
+            content,
+            displayContent,
+            messageType,
+            replyToId: replyTo,
+            payload
+        });
+    } catch (error) {
+        messageQueue.forget(messageId);
+        throw error;
+    }
+
+    return { messageId, timestamp: queued.timestamp, settled };
+}
+
+function queueTextMessage(to, message, replyTo = null, messageId = undefined) {
+    return queueMessage(to, { text: message }, { displayContent: message, replyTo, messageId });
+}
+
+// Deliver a message taken from the outgoing queue
+async function sendQueuedMessage(entry) {
+    if (!isWhatsAppConnected()) {
+        throw new CommandError(ErrorCodes.NOT_CONNECTED, 'Not connected to WhatsApp');
+    }
+
+    const options = { messageId: entry.message_id };
+
+    const stored = await database.getMessage(entry.message_id);
+    const quotedRow = stored?.reply_to_id ? await database.getMessage(stored.reply_to_id) : null;
+    if (quotedRow) {
+        options.quoted = {
+            key: buildStoredMessageKey(quotedRow),
+            message: { conversation: quotedRow.content }
+        };
+    }
+
+    const sentMessage = await sock.sendMessage(entry.chat_jid, entry.content, options);
+
+    // Keep what was sent so WhatsApp can ask for it again and poll votes can be decrypted
+    if (sentMessage?.message) {
+        await database.saveRawMessage(entry.message_id, serializeMessage(sentMessage.message));
+    }
+}
+
+// Mirror outgoing queue changes to the frontend as message status updates
+function handleMessageQueueChange(event, outcome) {
+    if (event === 'sent' || event === 'failed' || event === 'cancelled') {
+        recordScheduledMessageOutcome(event, outcome)
+            .catch(error => log.error('Failed to record scheduled message outcome', error));
+    }
+
+    if (event === 'cancelled') {
+        sendToFrontend('message_deleted', { id: outcome.id, chatJid: outcome.chatJid, deletedAt: Date.now(), forEveryone: false });
+        return;
+    }
+
+    sendToFrontend('message_status', {
+        id: outcome.id,
+        chatJid: outcome.chatJid,
+        status: outcome.status,
+        participant: null,
+        attempts: outcome.attempts,
+        nextAttemptAt: outcome.nextAttemptAt,
+        error: outcome.error
+    });
+}
+
+// Scheduled messages that go out more than this long after their time are flagged as late
+const SCHEDULE_LATE_THRESHOLD = 2 * 60 * 1000; // 2 minutes
+
+let firingScheduledMessages = false;
+
+function formatScheduledMessage(row) {
+    return {
+        id: row.id,
+        to: row.chat_jid,
+        message: row.content,
+        replyTo: row.reply_to_id,
+        sendAt: row.send_at,
+        state: row.state,
+        messageId: row.message_id,
+        firedAt: row.fired_at,
+        late: row.late === 1,
+        error: row.error
+    };
+}
+
+async function handleScheduleMessage(ctx, data) {
+    const { to, message, sendAt, replyTo } = data;
+
+    if (sendAt <= Date.now()) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'sendAt must be in the future', {
+            fields: [{ field: 'sendAt', problem: 'must be in the future' }]
+        });
+    }
+    if (replyTo && !await database.getMessage(replyTo)) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Message to reply to not found: ${replyTo}`);
+    }
+
+    const id = `sched_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    await database.saveScheduledMessage(id, to, message, sendAt, replyTo || null);
+
+    log.message('Message scheduled', { id, to, sendAt });
+    reply(ctx, 'message_scheduled', formatScheduledMessage(await database.getScheduledMessage(id)));
+}
+
+async function handleListScheduledMessages(ctx, data) {
+    const rows = await database.getScheduledMessages(data.state || null, data.jid || null);
+    reply(ctx, 'scheduled_messages', { messages: rows.map(formatScheduledMessage) });
+}
+
+async function handleCancelScheduledMessage(ctx, data) {
+    const { id } = data;
+
+    const scheduled = await database.getScheduledMessage(id);
+    if (!scheduled) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Scheduled message not found: ${id}`);
+    }
+    if (!await database.claimScheduledMessage(id, 'cancelled')) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, `Scheduled message is already ${scheduled.state}`);
+    }
+
+    log.message('Scheduled message cancelled', { id });
+    reply(ctx, 'scheduled_message_cancelled', { id });
+}
+
+// Send every scheduled message whose time has come. Runs every minute and when
+// the connection opens, so messages due while offline go out on the next connect.
+async function fireDueScheduledMessages() {
+    if (!isWhatsAppConnected() || firingScheduledMessages) {
+        return;
+    }
+
+    firingScheduledMessages = true;
+    try {
+        const due = await database.getDueScheduledMessages(Date.now());
+        for (const scheduled of due) {
+            await fireScheduledMessage(scheduled);
+        }
+    } catch (error) {
+        log.error('Failed to send scheduled messages', error);
+    } finally {
+        firingScheduledMessages = false;
+    }
+}
+
+async function fireScheduledMessage(scheduled) {
+    const firedAt = Date.now();
+    const late = firedAt - scheduled.send_at > SCHEDULE_LATE_THRESHOLD;
+
+    const messageId = generateMessageIDV2(sock?.user?.id);
+
+    if (!await database.claimScheduledMessage(scheduled.id, 'fired', { messageId, firedAt, late })) {
+        return; // cancelled in the meantime
+    }
+
+    const event = {
+        id: scheduled.id,
+        to: scheduled.chat_jid,
+        sendAt: scheduled.send_at,
+        firedAt,
+        late
+    };
+
+    try {
+        // The queue reports the outcome through handleMessageQueueChange, however
+        // long the message takes to go out
+        await queueTextMessage(scheduled.chat_jid, scheduled.content, scheduled.reply_to_id, messageId);
+
+        sendToFrontend('scheduled_message_fired', { ...event, messageId });
+        log.message('Scheduled message fired', { id: scheduled.id, messageId, late });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'send scheduled message');
+        await database.updateScheduledMessageState(scheduled.id, 'failed', errorResponse.details);
+        sendToFrontend('scheduled_message_failed', { ...event, messageId, error: { code: errorResponse.code, message: errorResponse.details } });
+    }
+}
+
+// Move a fired scheduled message to 'sent', 'failed' or 'cancelled' once the
+// queue is done with the message it fired
+async function recordScheduledMessageOutcome(event, outcome) {
+    const scheduled = await database.finishScheduledMessage(outcome.id, event, outcome.error?.message || null);
+    if (!scheduled || event !== 'failed') return;
+
+    sendToFrontend('scheduled_message_failed', {
+        id: scheduled.id,
+        to: scheduled.chat_jid,
+        sendAt: scheduled.send_at,
+        firedAt: scheduled.fired_at,
+        late: scheduled.late === 1,
+        messageId: outcome.id,
+        error: outcome.error
+    });
+}
+
+// Store WhatsApp message content as JSON, keeping binary fields such as poll secrets intact
+function serializeMessage(message) {
+    return JSON.stringify(message, BufferJSON.replacer);
+}
+
+function deserializeMessage(rawMessage) {
+    return proto.Message.fromObject(JSON.parse(rawMessage, BufferJSON.reviver));
+}
+
+function getPollCreation(messageObj) {
+    return messageObj?.pollCreationMessage || messageObj?.pollCreationMessageV2 || messageObj?.pollCreationMessageV3 || null;
+}
+
+// Save the raw message and options of an incoming poll so its votes can be decrypted and tallied
+async function savePollFromMessage(messageId, chatJid, msg) {
+    const messageObj = unwrapMessage(msg);
+    const poll = getPollCreation(messageObj);
+    if (!poll) return;
+
+    await database.saveRawMessage(messageId, serializeMessage(messageObj));
+    await database.savePoll(
+        messageId,
+        chatJid,
+        poll.name || '',
+        poll.selectableOptionsCount || 0,
+        (poll.options || []).map(option => option.optionName)
+    );
+}
+
+function toNumber(value) {
+    if (value && typeof value.toNumber === 'function') {
+        return value.toNumber();
+    }
+    return Number(value);
+}
+
+// Apply decrypted poll votes and broadcast the new tally
+async function handlePollUpdates(key, pollUpdates) {
+    const poll = await database.getPoll(key.id);
+    if (!poll) {
+        log.debug('Ignoring votes for unknown poll', { messageId: key.id });
+        return;
+    }
+
+    // Votes name the selected options by the SHA-256 of their text
+    const optionsByHash = new Map(poll.options.map(name => [pollOptionHash(name), name]));
+    let changed = false;
+
+    for (const pollUpdate of pollUpdates) {
+        const voteKey = pollUpdate.pollUpdateMessageKey || {};
+        const voter = voteKey.fromMe ? 'me' : (voteKey.participant || voteKey.remoteJid);
+        if (!voter) continue;
+
+        const selected = (pollUpdate.vote?.selectedOptions || [])
+            .map(hash => optionsByHash.get(Buffer.from(hash).toString('hex')))
+            .filter(Boolean);
+        const timestamp = pollUpdate.senderTimestampMs ? toNumber(pollUpdate.senderTimestampMs) : Date.now();
+
+        if (await database.savePollVote(key.id, voter, selected, timestamp)) {
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        const results = await database.getPollResults([key.id]);
+        sendToFrontend('poll_update', { messageId: key.id, chatJid: poll.chat_jid, ...results[key.id] });
+    }
+}
+
+async function handleSendPoll(ctx, data) {
+    const { to, name, options, selectableCount } = data;
+
+    if (new Set(options).size !== options.length) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Poll options must be unique', {
+            fields: [{ field: 'options', problem: 'must be unique' }]
+        });
+    }
+    if (selectableCount > options.length) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'selectableCount cannot exceed the number of options', {
+            fields: [{ field: 'selectableCount', problem: `must be at most ${options.length}` }]
+        });
+    }
+
+    const messageId = await queueStructuredMessage(
+        ctx,
+        to,
+        { poll: { name, values: options, selectableCount } },
+        { displayContent: name, messageType: 'poll' },
+        { poll: { name, options, selectableCount } }
+    );
+
+    if (messageId) {
+        await database.savePoll(messageId, to, name, selectableCount, options);
+    }
+}
+
+// Queue a structured message and reply like send_message does. Returns the
+// message id, or null when the message could not be queued.
+async function queueStructuredMessage(ctx, to, content, options, details) {
+    try {
+        const { messageId, timestamp, settled } = await queueMessage(to, content, options);
+        const replyData = { to, messageId, timestamp, ...details };
+
+        reply(ctx, 'message_queued', { ...replyData, status: 'pending' });
+        log.message('Message queued', { to, messageId, type: options.messageType });
+
+        settled.then((outcome) => {
+            if (outcome.status === 'sent') {
+                reply(ctx, 'message_sent', replyData);
+            } else if (outcome.status === 'failed') {
+                const errorResponse = formatSendFailure(outcome, 'Message could not be sent');
+                replyError(ctx, 'message_error', errorResponse, { messageId, to, error: errorResponse });
+            }
+        });
+
+        return messageId;
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, `send ${options.messageType}`);
+        replyError(ctx, 'message_error', errorResponse);
+        return null;
+    }
+}
+
+async function handleSendLocation(ctx, data) {
+    const { to, latitude, longitude, name, address } = data;
+
+    const payload = {
+        latitude,
+        longitude,
+        name: name || null,
+        address: address || null,
+        url: null,
+        live: false
+    };
+
+    await queueStructuredMessage(
+        ctx,
+        to,
+        { location: { degreesLatitude: latitude, degreesLongitude: longitude, name, address } },
+        { displayContent: name || '[Location]', messageType: 'location', payload },
+        { payload }
+    );
+}
+
+async function handleSendContact(ctx, data) {
+    const { to, contacts } = data;
+
+    const problems = [];
+    contacts.forEach((contact, index) => {
+        if (typeof contact.name !== 'string' || contact.name.length === 0) {
+            problems.push({ field: `contacts[${index}].name`, problem: 'is required' });
+        }
+        if (typeof contact.phoneNumber !== 'string' || !/\d/.test(contact.phoneNumber)) {
+            problems.push({ field: `contacts[${index}].phoneNumber`, problem: 'must be a phone number' });
+        }
+    });
+    if (problems.length > 0) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Invalid payload for command: send_contact', {
+            details: problems.map(({ field, problem }) => `${field} ${problem}`).join('; '),
+            fields: problems
+        });
+    }
+
+    const vcards = contacts.map(contact => ({ displayName: contact.name, vcard: buildVCard(contact) }));
+    const displayName = contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`;
+    const payload = contacts.length === 1
+        ? { contacts: vcards.map(card => parseVCard(card.vcard, card.displayName)) }
+        : { name: displayName, contacts: vcards.map(card => parseVCard(card.vcard, card.displayName)) };
+
+    await queueStructuredMessage(
+        ctx,
+        to,
+        { contacts: { displayName, contacts: vcards } },
+        { displayContent: displayName, messageType: contacts.length === 1 ? 'contact' : 'contacts', payload },
+        { payload }
+    );
+}
+
+async function handleGetPollResults(ctx, data) {
+    const { messageId } = data;
+
+    const results = await database.getPollResults([messageId]);
+    if (!results[messageId]) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Poll not found: ${messageId}`);
+    }
+
+    reply(ctx, 'poll_results', { messageId, ...results[messageId] });
+}
+
+async function handleVotePoll(ctx, data) {
+    const { messageId, options } = data;
+
+    const poll = await database.getPoll(messageId);
+    const target = poll ? await database.getMessage(messageId) : null;
+    if (!poll || !target) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Poll not found: ${messageId}`);
+    }
+
+    const unknown = options.filter(name => !poll.options.includes(name));
+    if (unknown.length > 0) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Not an option of this poll: ${unknown.join(', ')}`, {
+            fields: [{ field: 'options', problem: 'must be options of the poll' }]
+        });
+    }
+    if (new Set(options).size !== options.length) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Poll options must be unique', {
+            fields: [{ field: 'options', problem: 'must be unique' }]
+        });
+    }
+    if (poll.selectable_count > 0 && options.length > poll.selectable_count) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `This poll allows at most ${poll.selectable_count} choices`, {
+            fields: [{ field: 'options', problem: `must have at most ${poll.selectable_count} entries` }]
+        });
+    }
+
+    // The vote is encrypted with the secret WhatsApp put in the poll message
+    const rawMessage = await database.getRawMessage(messageId);
+    const pollEncKey = rawMessage ? deserializeMessage(rawMessage).messageContextInfo?.messageSecret : null;
+    if (!pollEncKey || pollEncKey.length === 0) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, `The secret of poll ${messageId} is not stored, cannot vote`);
+    }
+
+    try {
+        const me = jidNormalizedUser(sock.user.id);
+        const timestamp = Date.now();
+
+        const plaintext = proto.Message.PollVoteMessage.encode({
+            selectedOptions: options.map(name => Buffer.from(pollOptionHash(name), 'hex'))
+        }).finish();
+        const vote = encryptPollVote(plaintext, {
+            pollMsgId: messageId,
+            pollCreatorJid: target.from_me === 1 ? me : jidNormalizedUser(target.sender_jid || target.chat_jid),
+            pollEncKey,
+            voterJid: me
+        });
+        await sock.relayMessage(target.chat_jid, {
+            pollUpdateMessage: {
+                pollCreationMessageKey: buildStoredMessageKey(target),
+                vote,
+                senderTimestampMs: timestamp
+            }
+        }, { messageId: generateMessageIDV2(sock.user.id) });
+
+        // WhatsApp does not echo our own vote back, so tally it right away
+        const changed = await database.savePollVote(messageId, 'me', options, timestamp);
+        const results = await database.getPollResults([messageId]);
+        if (changed) {
+            sendToFrontend('poll_update', { messageId, chatJid: target.chat_jid, ...results[messageId] });
+        }
+
+        reply(ctx, 'poll_vote_sent', { messageId, chatJid: target.chat_jid, ...results[messageId] });
+        log.message('Poll vote sent', { messageId, options: options.length });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'vote in poll');
+        replyError(ctx, 'poll_vote_error', errorResponse, { messageId, error: errorResponse });
+    }
+}
+
+async function handleRetryMessage(ctx, data) {
+    const result = await messageQueue.retry(data.messageId);
+    if (!result) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `No queued message with id ${data.messageId}`);
+    }
+
+    sendToFrontend('message_status', { id: result.id, chatJid: result.chatJid, status: 'pending', participant: null });
+    reply(ctx, 'message_retry_scheduled', { messageId: result.id, connected: isWhatsAppConnected() });
+}
+
+async function handleCancelMessage(ctx, data) {
+    const result = await messageQueue.cancel(data.messageId);
+    if (result === null) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `No queued message with id ${data.messageId}`);
+    }
+    if (result === false) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, 'Message is being sent and can no longer be cancelled', {
+            retryable: true
+        });
+    }
+
+    reply(ctx, 'message_cancelled', { messageId: data.messageId });
+}
+
+// WhatsApp message key for a row from the messages table
+function buildStoredMessageKey(row) {
+    const key = {
+        remoteJid: row.chat_jid,
+        id: row.id,
+        fromMe: row.from_me === 1
+    };
+
+    // Messages of other group members are addressed through their sender
+    if (!key.fromMe && row.sender_jid && row.sender_jid !== row.chat_jid) {
+        key.participant = row.sender_jid;
+    }
+
+    return key;
+}
+
+async function handleSendReaction(ctx, data) {
+    await sendReaction(ctx, data.messageId, data.emoji);
+}
+
+async function handleRemoveReaction(ctx, data) {
+    await sendReaction(ctx, data.messageId, '');
+}
+
+// Send a reaction (an empty emoji removes it) and record it as our own
+async function sendReaction(ctx, messageId, emoji) {
+    const target = await database.getMessage(messageId);
+    if (!target) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Message not found: ${messageId}`);
+    }
+
+    try {
+        await sock.sendMessage(target.chat_jid, {
+            react: { text: emoji, key: buildStoredMessageKey(target) }
+        });
+
+        const update = await storeReaction(messageId, target.chat_jid, 'me', emoji, Date.now());
+        reply(ctx, 'reaction_sent', update);
+
+        log.message('Reaction sent', { messageId, removed: !emoji });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, emoji ? 'send reaction' : 'remove reaction');
+        replyError(ctx, 'reaction_error', errorResponse, { messageId, error: errorResponse });
+    }
+}
+
+// Persist a reaction and broadcast the new aggregate for the target message
+async function storeReaction(messageId, chatJid, reactor, emoji, timestamp) {
+    const changed = await database.saveReaction(messageId, chatJid, reactor, emoji, timestamp);
+    const summary = await database.getReactionSummary(messageId);
+    const update = { messageId, chatJid, reactor, emoji: emoji || null, ...summary };
+
+    if (changed) {
+        sendToFrontend('reaction_update', update);
+    }
+
+    return update;
+}
+
+// Record a reactionMessage received from WhatsApp instead of saving it as a message
+async function handleReactionMessage(msg) {
+    const key = getMessageKey(msg);
+    const reaction = unwrapMessage(msg)?.reactionMessage;
+    const targetId = reaction?.key?.id;
+    if (!key || !targetId) return;
+
+    const reactor = key.fromMe ? 'me' : (key.participant || msg.participant || key.remoteJid);
+    await storeReaction(targetId, key.remoteJid, reactor, reaction.text || '', getMessageTimestamp(msg));
+}
+
+// Look up a message a command operates on, rejecting unknown and deleted messages
+async function getEditableMessage(messageId, action) {
+    const message = await database.getMessage(messageId);
+    if (!message) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Message not found: ${messageId}`);
+    }
+    if (message.is_deleted === 1) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, `Cannot ${action} a deleted message`);
+    }
+    return message;
+}
+
+async function handleEditMessage(ctx, data) {
+    const { messageId, message } = data;
+    const target = await getEditableMessage(messageId, 'edit');
+
+    if (target.from_me !== 1) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, 'Only your own messages can be edited');
+    }
+    if (target.message_type !== 'text') {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, 'Only text messages can be edited');
+    }
+
+    try {
+        await sock.sendMessage(target.chat_jid, { text: message, edit: buildStoredMessageKey(target) });
+
+        const editedAt = Date.now();
+        await applyMessageEdit(messageId, message, editedAt);
+        reply(ctx, 'edit_sent', { messageId, chatJid: target.chat_jid, content: message, editedAt });
+
+        log.message('Message edited', { messageId });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'edit message');
+        replyError(ctx, 'message_edit_error', errorResponse, { messageId, error: errorResponse });
+    }
+}
+
+async function handleDeleteMessage(ctx, data) {
+    const { messageId, forEveryone } = data;
+    const target = await getEditableMessage(messageId, 'delete');
+    const key = buildStoredMessageKey(target);
+
+    if (forEveryone && target.from_me !== 1) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, 'Only your own messages can be deleted for everyone');
+    }
+
+    try {
+        const deletedAt = Date.now();
+
+        if (forEveryone) {
+            await sock.sendMessage(target.chat_jid, { delete: key });
+            await applyMessageDeletion(messageId, deletedAt);
+        } else {
+            // Sync the deletion to our other devices, then drop the local copy
+            await sock.chatModify({
+                deleteForMe: { deleteMedia: false, key, timestamp: Math.floor(target.timestamp / 1000) }
+            }, target.chat_jid);
+            await database.deleteMessage(messageId);
+            // A message still in the outgoing queue is gone with it
+            messageQueue.forget(messageId);
+            sendToFrontend('message_deleted', { id: messageId, chatJid: target.chat_jid, deletedAt, forEveryone: false });
+        }
+
+        reply(ctx, 'delete_sent', { messageId, chatJid: target.chat_jid, forEveryone, deletedAt });
+        log.message('Message deleted', { messageId, forEveryone });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'delete message');
+        replyError(ctx, 'message_delete_error', errorResponse, { messageId, error: errorResponse });
+    }
+}
+
+async function handleGetMessageEdits(ctx, data) {
+    const { messageId } = data;
+
+    const message = await database.getMessage(messageId);
+    if (!message) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Message not found: ${messageId}`);
+    }
+
+    const edits = await database.getMessageEdits(messageId);
+    reply(ctx, 'message_edits', {
+        messageId,
+        content: message.content,
+        editedAt: message.edited_at,
+        edits: edits.map(edit => ({ content: edit.previous_content, editedAt: edit.edited_at }))
+    });
+}
+
+async function handleGetMessageReceipts(ctx, data) {
+    const { messageId } = data;
+
+    const message = await database.getMessage(messageId);
+    if (!message) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Message not found: ${messageId}`);
+    }
+
+    const receipts = await database.getMessageReceipts(messageId);
+    reply(ctx, 'message_receipts', {
+        messageId,
+        status: message.status,
+        receipts: receipts.map(receipt => ({
+            participant: receipt.participant_jid,
+            participantName: receipt.participant_name,
+            status: receipt.status,
+            timestamp: receipt.timestamp
+        }))
+    });
+}
+
+// Store a new version of a message and tell the frontend about it
+async function applyMessageEdit(messageId, content, editedAt) {
+    if (!await database.editMessage(messageId, content, editedAt)) {
+        return;
+    }
+
+    const message = await database.getMessage(messageId);
+    sendToFrontend('message_updated', { id: messageId, chatJid: message.chat_jid, content, editedAt });
+}
+
+// Tombstone a message deleted for everyone and tell the frontend about it
+async function applyMessageDeletion(messageId, deletedAt) {
+    if (!await database.markMessageDeleted(messageId, deletedAt)) {
+        return;
+    }
+
+    const message = await database.getMessage(messageId);
+    sendToFrontend('message_deleted', { id: messageId, chatJid: message.chat_jid, deletedAt, forEveryone: true });
+}
+
+// Whether a participant is an admin of a stored group
+async function isGroupAdmin(groupJid, participantJid) {
+    const group = await database.getGroup(groupJid);
+    return !!group?.participants.some(participant =>
+        participant.role !== 'member' && areJidsSameUser(participant.participant_jid, participantJid));
+}
+
+// Only the author may edit a message. The author may revoke it too, and in a
+// group so may an admin.
+async function isProtocolMessageAllowed(msg, target, type) {
+    const key = getMessageKey(msg);
+    if (key.remoteJid !== target.chat_jid) return false;
+
+    const senderJid = key.fromMe ? sock?.user?.id : getMessageSenderJid(msg);
+    const isAuthor = key.fromMe
+        ? target.from_me === 1
+        : target.from_me !== 1 && !!senderJid && areJidsSameUser(senderJid, target.sender_jid || target.chat_jid);
+
+    if (isAuthor) return true;
+    if (type !== proto.Message.ProtocolMessage.Type.REVOKE || !isJidGroup(target.chat_jid) || !senderJid) return false;
+
+    return isGroupAdmin(target.chat_jid, senderJid);
+}
+
+// Apply edits and revokes received from WhatsApp to the stored message
+async function handleProtocolMessage(msg) {
+    const protocolMessage = unwrapMessage(msg).protocolMessage;
+    const targetId = protocolMessage.key?.id;
+    if (!targetId) return;
+
+    const { REVOKE, MESSAGE_EDIT } = proto.Message.ProtocolMessage.Type;
+    if (protocolMessage.type !== REVOKE && protocolMessage.type !== MESSAGE_EDIT) {
+        log.debug('Ignoring protocol message', { type: protocolMessage.type, targetId });
+        return;
+    }
+
+    const target = await database.getMessage(targetId);
+    if (!target) return;
+
+    if (!await isProtocolMessageAllowed(msg, target, protocolMessage.type)) {
+        log.warn('Ignoring edit or revoke from someone who may not change the message', {
+            type: protocolMessage.type,
+            targetId,
+            chatJid: getMessageKey(msg).remoteJid,
+            sender: getMessageKey(msg).fromMe ? 'me' : getMessageSenderJid(msg)
+        });
+        return;
+    }
+
+    const timestamp = getMessageTimestamp(msg);
+
+    if (protocolMessage.type === REVOKE) {
+        await applyMessageDeletion(targetId, timestamp);
+    } else {
+        await applyMessageEdit(targetId, getDisplayMessage({ message: protocolMessage.editedMessage }), timestamp);
+    }
+}
+
+// Pick the WhatsApp media kind for a mime type; anything unknown goes as a document
+function getMediaTypeForMime(mimeType) {
+    if (mimeType === 'image/webp') return 'sticker';
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'document';
+}
+
+// Build the Baileys message content for an outgoing media message. The media
+// is a buffer or a { url } that Baileys reads from when sending.
+function buildMediaContent(mediaType, media, { mimeType, caption, fileName, ptt }) {
+    switch (mediaType) {
+        case 'image':
+            return { image: media, mimetype: mimeType, caption };
+        case 'video':
+            return { video: media, mimetype: mimeType, caption };
+        case 'audio':
+            return { audio: media, mimetype: mimeType, ptt: !!ptt };
+        case 'sticker':
+            return { sticker: media, mimetype: mimeType };
+        default:
+            return { document: media, mimetype: mimeType, fileName, caption };
+    }
+}
+
+function getMediaDisplayContent(mediaType, caption, fileName) {
+    if (caption) return caption;
+
+    switch (mediaType) {
+        case 'image': return '[Image]';
+        case 'video': return '[Video]';
+        case 'audio': return '[Audio]';
+        case 'sticker': return '[Sticker]';
+        default: return fileName || '[Document]';
+    }
+}
+
+// Chunked uploads in progress, by upload id
+const mediaUploads = new Map();
+
+// Pick a fresh path in the media directory for a new file
+async function createMediaFile(fileName) {
+    const mediaDir = getMediaDirectory();
+    await fs.mkdir(mediaDir, { recursive: true });
+    return path.resolve(mediaDir, `${Date.now()}_${path.basename(fileName)}`);
+}
+
+function expireMediaUpload(uploadId) {
+    const upload = mediaUploads.get(uploadId);
+    if (!upload) return;
+
+    mediaUploads.delete(uploadId);
+    log.debug('Discarding unfinished media upload', { uploadId, bytesReceived: upload.bytesReceived });
+    fs.rm(upload.filePath, { force: true }).catch((error) => {
+        log.warn('Failed to remove unfinished media upload', { uploadId, error: error.message });
+    });
+}
+
+function touchMediaUpload(uploadId, upload) {
+    clearTimeout(upload.expiryTimer);
+    upload.expiryTimer = setTimeout(() => expireMediaUpload(uploadId), MEDIA_UPLOAD_TIMEOUT);
+    upload.expiryTimer.unref();
+}
+
+async function handleStartMediaUpload(ctx, data) {
+    const { size, mimeType } = data;
+    const uploadId = `upload_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const fileName = data.fileName || uploadId;
+
+    const filePath = await createMediaFile(fileName);
+    await fs.writeFile(filePath, Buffer.alloc(0));
+
+    const upload = { filePath, fileName, mimeType, totalBytes: size, bytesReceived: 0, writing: false, expiryTimer: null };
+    mediaUploads.set(uploadId, upload);
+    touchMediaUpload(uploadId, upload);
+
+    log.message('Media upload started', { uploadId, size, mimeType });
+    reply(ctx, 'media_upload_started', { uploadId, chunkSize: MEDIA_CHUNK_SIZE, totalBytes: size });
+}
+
+// Chunks must arrive in order, each after the previous one was acknowledged;
+// offset is where the chunk starts in the file
+async function handleUploadMediaChunk(ctx, data) {
+    const { uploadId, offset } = data;
+    const upload = mediaUploads.get(uploadId);
+    if (!upload) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Media upload not found: ${uploadId}`);
+    }
+    if (upload.writing) {
+        throw new CommandError(ErrorCodes.FAILED_PRECONDITION, 'The previous chunk is still being written');
+    }
+    if (offset !== upload.bytesReceived) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Expected a chunk at offset ${upload.bytesReceived}`, {
+            fields: [{ field: 'offset', problem: `must be ${upload.bytesReceived}` }]
+        });
+    }
+
+    const chunk = Buffer.from(data.data, 'base64');
+    if (chunk.length === 0 || chunk.length > MEDIA_CHUNK_SIZE) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Chunks must hold 1 to ${MEDIA_CHUNK_SIZE} bytes`);
+    }
+    if (upload.bytesReceived + chunk.length > upload.totalBytes) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Upload exceeds its declared size of ${upload.totalBytes} bytes`);
+    }
+
+    upload.writing = true;
+    try {
+        await fs.appendFile(upload.filePath, chunk);
+    } finally {
+        upload.writing = false;
+    }
+    upload.bytesReceived += chunk.length;
+    touchMediaUpload(uploadId, upload);
+
+    reply(ctx, 'media_upload_progress', {
+        uploadId,
+        stage: upload.bytesReceived === upload.totalBytes ? 'complete' : 'receiving',
+        bytesReceived: upload.bytesReceived,
+        totalBytes: upload.totalBytes
+    });
+}
+
+// Locate the media at a local path, in a finished chunked upload or in base64
+// bytes sent inline. Uploaded bytes are written to the media directory so the
+// message has a file path.
+async function loadOutgoingMedia(data) {
+    if (data.uploadId) {
+        const upload = mediaUploads.get(data.uploadId);
+        if (!upload) {
+            throw new CommandError(ErrorCodes.NOT_FOUND, `Media upload not found: ${data.uploadId}`);
+        }
+        if (upload.writing || upload.bytesReceived !== upload.totalBytes) {
+            throw new CommandError(ErrorCodes.FAILED_PRECONDITION, `Media upload is incomplete: ${upload.bytesReceived} of ${upload.totalBytes} bytes received`);
+        }
+
+        clearTimeout(upload.expiryTimer);
+        mediaUploads.delete(data.uploadId);
+        return {
+            filePath: upload.filePath,
+            fileSize: upload.totalBytes,
+            fileName: data.fileName || upload.fileName,
+            mimeType: data.mimeType || upload.mimeType
+        };
+    }
+
+    if (data.filePath) {
+        let stats;
+        try {
+            stats = await fs.stat(data.filePath);
+        } catch (error) {
+            throw new CommandError(ErrorCodes.NOT_FOUND, `File not found: ${data.filePath}`);
+        }
+
+        if (!stats.isFile()) {
+            throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Not a regular file: ${data.filePath}`);
+        }
+        if (stats.size > MAX_MEDIA_SIZE) {
+            throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `File exceeds the ${MAX_MEDIA_SIZE} byte limit`);
+        }
+
+        const extension = path.extname(data.filePath).toLowerCase();
+        return {
+            filePath: path.resolve(data.filePath),
+            fileSize: stats.size,
+            fileName: data.fileName || path.basename(data.filePath),
+            mimeType: data.mimeType || MIME_TYPES_BY_EXTENSION[extension] || 'application/octet-stream'
+        };
+    }
+
+    if (!data.data) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'One of filePath, uploadId or data is required');
+    }
+    if (!data.mimeType) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'mimeType is required when sending uploaded bytes');
+    }
+
+    const buffer = Buffer.from(data.data, 'base64');
+    if (buffer.length === 0) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Uploaded media is empty');
+    }
+    if (buffer.length > MAX_MEDIA_SIZE) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Media exceeds the ${MAX_MEDIA_SIZE} byte limit`);
+    }
+
+    const fileName = data.fileName || `upload_${Date.now()}`;
+    const filePath = await createMediaFile(fileName);
+    await fs.writeFile(filePath, buffer);
+
+    return { filePath, fileSize: buffer.length, fileName, mimeType: data.mimeType };
+}
+
+async function handleSendMedia(ctx, data) {
+    const timer = performance.start('send_media');
+    const { to, caption, ptt } = data;
+
+    try {
+        reply(ctx, 'media_upload_progress', { to, stage: 'reading' });
+        const media = await loadOutgoingMedia(data);
+        const mediaType = data.mediaType || getMediaTypeForMime(media.mimeType);
+
+        log.message('Sending media', { to, mediaType, fileSize: media.fileSize });
+
+        // The queue stores the file path, Baileys reads the file when the message goes out
+        const content = buildMediaContent(mediaType, { url: media.filePath }, {
+            mimeType: media.mimeType,
+            caption,
+            fileName: media.fileName,
+            ptt
+        });
+        const { messageId, timestamp, settled } = await queueMessage(to, content, {
+            displayContent: getMediaDisplayContent(mediaType, caption, media.fileName),
+            messageType: mediaType
+        });
+        await database.saveMedia(
+            `${messageId}_media`,
+            messageId,
+            media.filePath,
+            media.fileName,
+            media.fileSize,
+            media.mimeType
+        );
+
+        const details = {
+            to,
+            messageId,
+            mediaType,
+            caption: caption || null,
+            fileName: media.fileName,
+            fileSize: media.fileSize,
+            mimeType: media.mimeType,
+            filePath: media.filePath,
+            timestamp
+        };
+        reply(ctx, 'media_queued', { ...details, status: 'pending' });
+
+        timer.end({ to, mediaType, fileSize: media.fileSize });
+        log.message('Media queued', { to, messageId, mediaType });
+
+        settled.then((outcome) => {
+            if (outcome.status === 'sent') {
+                reply(ctx, 'media_sent', details);
+            } else if (outcome.status === 'failed') {
+                const errorResponse = formatSendFailure(outcome, 'Media could not be sent');
+                replyError(ctx, 'media_error', errorResponse, { messageId, to, error: errorResponse });
+            }
+        });
+
+    } catch (error) {
+        timer.end({ error: true });
+        const errorResponse = errorHandler.messaging(error, 'send media');
+        replyError(ctx, 'media_error', errorResponse, { to, error: errorResponse });
+    }
+}
+
+async function handleGetMessageHistory(ctx, data) {
+    const timer = performance.start('get_message_history');
+    const { jid, limit = 50, offset = 0 } = data;
+
+    try {
+        log.message('Fetching message history', { jid, limit, offset });
+
+        // Get messages from database with enhanced message data
+        let messages = await database.getMessagesWithSender(jid, limit, offset);
+
+        if (messages.length === 0 && sock && baileysConnectionStatus === 'open') {
+            // If no messages in database, try to fetch from Baileys directly
+            try {
+                const baileysMessages = await sock.fetchMessageHistory(jid, limit);
+
+                // Save to database and process
+                for (const msg of baileysMessages) {
+                    await ingestMessage(msg, { chatJid: jid });
+                }
+
+                // Get the saved messages with enhanced data
+                messages = await database.getMessagesWithSender(jid, limit, offset);
+
+            } catch (baileysError) {
+                log.warn('Failed to fetch from Baileys, using database only', baileysError);
+            }
+        }
+
+        const reactions = await database.getReactionsForMessages(messages.map(msg => msg.id));
+        const polls = await database.getPollResults(messages.filter(msg => msg.message_type === 'poll').map(msg => msg.id));
+
+        // Replies whose quoted message is not stored are previewed from the snapshot in their payload
+        const payloads = {};
+        const snapshotPreviews = {};
+        for (const msg of messages) {
+            const { payload, quoted } = splitStoredPayload(parseStoredPayload(msg.payload));
+            payloads[msg.id] = payload;
+            if (!msg.reply_to_id && quoted) {
+                snapshotPreviews[msg.id] = await formatQuotedSnapshot(quoted, msg.chat_jid);
+            }
+        }
+
+        // Process messages for frontend with all required fields
+        const processedMessages = messages.map(msg => ({
+            id: msg.id,
+            content: msg.content,
+            timestamp: msg.timestamp,
+            type: msg.message_type || 'text',
+            from: msg.from_me === 1 ? 'me' : (msg.sender_jid || msg.chat_jid), // 'me' if from user, sender JID if from contact
+            fromMe: msg.from_me === 1,
+            senderJid: msg.from_me === 1 ? null : (msg.sender_jid || msg.chat_jid),
+            status: msg.status,
+            senderName: msg.display_sender_name || (msg.from_me === 1 ? 'You' : null),
+            senderAvatar: msg.sender_avatar_base64,
+            replyTo: msg.reply_to_id ? formatQuotedPreview({ ...msg, id: msg.reply_to_id }) : (snapshotPreviews[msg.id] || null),
+            reactions: reactions[msg.id]?.reactions || [],
+            myReaction: reactions[msg.id]?.myReaction || null,
+            edited: !!msg.edited_at,
+            editedAt: msg.edited_at || null,
+            deleted: msg.is_deleted === 1,
+            deletedAt: msg.deleted_at || null,
+            poll: polls[msg.id] || null,
+            payload: payloads[msg.id]
+        }));
+
+        reply(ctx, 'message_history', { jid, messages: processedMessages });
+
+        timer.end({ jid, messageCount: processedMessages.length });
+        log.message('Message history sent', { jid, count: processedMessages.length });
+
+    } catch (error) {
+        timer.end({ error: true });
+        const errorResponse = errorHandler.messaging(error, 'get message history');
+        replyError(ctx, 'message_history_error', errorResponse);
+    }
+}
+
+async function handleMarkRead(ctx, data) {
+    const { jid } = data;
+
+    const chat = await database.getChatWithContact(jid);
+    if (!chat) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Chat not found: ${jid}`);
+    }
+
+    try {
+        // Only the messages counted as unread get receipts; older history is already read
+        const unreadMessages = chat.unread_count > 0 ? await database.getUnreadMessages(jid, chat.unread_count) : [];
+
+        if (unreadMessages.length > 0) {
+            await sock.readMessages(unreadMessages.map(buildStoredMessageKey));
+            for (const message of unreadMessages) {
+                await database.updateMessageStatus(message.id, 'read');
+            }
+        }
+
+        await database.setUnreadCount(jid, 0);
+        await pushChatUpdate(jid);
+
+        reply(ctx, 'chat_read', { jid, count: unreadMessages.length });
+        log.message('Chat marked as read', { jid, count: unreadMessages.length });
+
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'mark chat as read');
+        replyError(ctx, 'mark_read_error', errorResponse, { jid, error: errorResponse });
+    }
+}
+
+const GROUP_INVITE_URL = 'https://chat.whatsapp.com/';
+
+// Why WhatsApp refused to apply a participant change, by the status it reports
+const PARTICIPANT_UPDATE_REASONS = {
+    '401': 'not_authorized',
+    '403': 'not_allowed', // their privacy settings only allow an invite
+    '404': 'not_on_whatsapp',
+    '408': 'recently_left',
+    '409': 'conflict' // already in the group, or not in it
+};
+
+// Group commands operate on a group JID; reject anything else before asking WhatsApp
+function requireGroupJid(jid) {
+    if (!isJidGroup(jid)) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Not a group: ${jid}`, {
+            fields: [{ field: 'jid', problem: 'must be a group JID' }]
+        });
+    }
+    return jid;
+}
+
+// Participants may be given as JIDs or as phone numbers
+function toParticipantJid(participant) {
+    if (participant.includes('@')) {
+        return participant;
+    }
+
+    const digits = participant.replace(/[^\d]/g, '');
+    if (!digits) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Invalid participant: ${participant}`, {
+            fields: [{ field: 'participants', problem: 'must be JIDs or phone numbers' }]
+        });
+    }
+    return `${digits}@s.whatsapp.net`;
+}
+
+// Outcome for each participant of a participants update. Adds in particular fail
+// partially: people whose privacy settings forbid it come back with an invite
+// code that can be sent to them instead.
+function formatParticipantResults(results) {
+    return results.map(({ jid, status, content }) => {
+        const addRequest = Array.isArray(content?.content)
+            ? content.content.find(node => node.tag === 'add_request')
+            : null;
+
+        return {
+            jid,
+            ok: status === '200',
+            status: Number(status),
+            reason: status === '200' ? null : (PARTICIPANT_UPDATE_REASONS[status] || 'failed'),
+            inviteCode: addRequest?.attrs?.code || null,
+            inviteExpiration: addRequest?.attrs?.expiration ? Number(addRequest.attrs.expiration) : null
+        };
+    });
+}
+
+// Run a group operation, answering with group_error when WhatsApp rejects it
+async function runGroupCommand(ctx, action, details, operation) {
+    try {
+        await operation();
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, action);
+        replyError(ctx, 'group_error', errorResponse, { ...details, action, error: errorResponse });
+    }
+}
+
+async function handleGetGroupInfo(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const connected = sock && baileysConnectionStatus === 'open';
+
+    let group = await database.getGroup(jid);
+    if (!group && !connected) {
+        throw new CommandError(ErrorCodes.NOT_FOUND, `Group not found: ${jid}`);
+    }
+
+    await runGroupCommand(ctx, 'get group info', { jid }, async () => {
+        // Unknown groups are fetched from WhatsApp, as are known ones on request
+        if ((!group || data.refresh) && connected) {
+            await refreshGroupMetadata(jid, { silent: true });
+            group = await database.getGroup(jid);
+        }
+
+        reply(ctx, 'group_info', formatGroupForFrontend(group));
+    });
+}
+
+async function handleCreateGroup(ctx, data) {
+    const { subject } = data;
+    const participants = data.participants.map(toParticipantJid);
+
+    await runGroupCommand(ctx, 'create group', { subject }, async () => {
+        const metadata = await sock.groupCreate(subject, participants);
+        await storeGroupMetadata(metadata);
+
+        // WhatsApp only lists the participants it actually added
+        const added = new Set((metadata.participants || []).map(participant => participant.id));
+        const results = participants.map(jid => ({
+            jid,
+            ok: added.has(jid),
+            status: added.has(jid) ? 200 : null,
+            reason: added.has(jid) ? null : 'not_added',
+            inviteCode: null,
+            inviteExpiration: null
+        }));
+
+        reply(ctx, 'group_created', { jid: metadata.id, subject: metadata.subject || subject, participants: results });
+        log.message('Group created', { jid: metadata.id, added: added.size, requested: participants.length });
+    });
+}
+
+async function handleUpdateGroupParticipants(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const { action } = data;
+    const participants = data.participants.map(toParticipantJid);
+
+    await runGroupCommand(ctx, `${action} group participants`, { jid }, async () => {
+        const results = formatParticipantResults(await sock.groupParticipantsUpdate(jid, participants, action));
+        const succeeded = results.filter(result => result.ok).length;
+
+        reply(ctx, 'group_participants_updated', {
+            jid,
+            action,
+            participants: results,
+            succeeded,
+            failed: results.length - succeeded
+        });
+        log.message('Group participants updated', { jid, action, succeeded, failed: results.length - succeeded });
+    });
+}
+
+async function handleSetGroupSubject(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const { subject } = data;
+
+    await runGroupCommand(ctx, 'set group subject', { jid }, async () => {
+        await sock.groupUpdateSubject(jid, subject);
+        await applyGroupUpdate({ id: jid, subject });
+
+        reply(ctx, 'group_subject_set', { jid, subject });
+        log.message('Group subject changed', { jid });
+    });
+}
+
+async function handleSetGroupDescription(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const description = data.description || null;
+
+    await runGroupCommand(ctx, 'set group description', { jid }, async () => {
+        // Without a description WhatsApp clears it
+        await sock.groupUpdateDescription(jid, description || undefined);
+        await applyGroupUpdate({ id: jid, desc: description });
+
+        reply(ctx, 'group_description_set', { jid, description });
+        log.message('Group description changed', { jid, cleared: !description });
+    });
+}
+
+async function handleSetGroupPicture(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const picture = await loadGroupPicture(data);
+
+    await runGroupCommand(ctx, 'set group picture', { jid }, async () => {
+        if (picture) {
+            await sock.updateProfilePicture(jid, picture);
+        } else {
+            await sock.removeProfilePicture(jid);
+        }
+
+        reply(ctx, 'group_picture_set', { jid, removed: !picture });
+        log.message('Group picture changed', { jid, removed: !picture });
+    });
+}
+
+// Picture bytes from a local file or base64 data; null removes the picture
+async function loadGroupPicture(data) {
+    if (data.filePath) {
+        try {
+            return await fs.readFile(data.filePath);
+        } catch (error) {
+            throw new CommandError(ErrorCodes.NOT_FOUND, `File not found: ${data.filePath}`);
+        }
+    }
+
+    if (data.data) {
+        const buffer = Buffer.from(data.data, 'base64');
+        if (buffer.length === 0) {
+            throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Uploaded picture is empty');
+        }
+        return buffer;
+    }
+
+    return null;
+}
+
+async function handleSetGroupSettings(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+    const { announcement, locked } = data;
+
+    if (announcement === undefined && locked === undefined) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Either announcement or locked is required');
+    }
+
+    await runGroupCommand(ctx, 'set group settings', { jid }, async () => {
+        // announcement: only admins send messages; locked: only admins edit the group info
+        if (announcement !== undefined) {
+            await sock.groupSettingUpdate(jid, announcement ? 'announcement' : 'not_announcement');
+        }
+        if (locked !== undefined) {
+            await sock.groupSettingUpdate(jid, locked ? 'locked' : 'unlocked');
+        }
+        await applyGroupUpdate({ id: jid, announce: announcement, restrict: locked });
+
+        reply(ctx, 'group_settings_set', { jid, announcement: announcement ?? null, locked: locked ?? null });
+        log.message('Group settings changed', { jid, announcement, locked });
+    });
+}
+
+async function handleLeaveGroup(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+
+    await runGroupCommand(ctx, 'leave group', { jid }, async () => {
+        await sock.groupLeave(jid);
+
+        reply(ctx, 'group_left', { jid });
+        log.message('Left group', { jid });
+    });
+}
+
+async function handleGetGroupInviteLink(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+
+    await runGroupCommand(ctx, 'get group invite link', { jid }, async () => {
+        const code = await sock.groupInviteCode(jid);
+        reply(ctx, 'group_invite_link', { jid, code, link: `${GROUP_INVITE_URL}${code}`, revoked: false });
+    });
+}
+
+async function handleRevokeGroupInviteLink(ctx, data) {
+    const jid = requireGroupJid(data.jid);
+
+    await runGroupCommand(ctx, 'revoke group invite link', { jid }, async () => {
+        const code = await sock.groupRevokeInvite(jid);
+        reply(ctx, 'group_invite_link', { jid, code, link: `${GROUP_INVITE_URL}${code}`, revoked: true });
+        log.message('Group invite link revoked', { jid });
+    });
+}
+
+async function handleAcceptGroupInvite(ctx, data) {
+    // Accept a full invite link as well as the bare code
+    const code = data.code.trim().replace(GROUP_INVITE_URL, '').split(/[/?#]/)[0];
+    if (!code) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Invalid invite code', {
+            fields: [{ field: 'code', problem: 'must be an invite link or code' }]
+        });
+    }
+
+    await runGroupCommand(ctx, 'accept group invite', { code }, async () => {
+        const jid = await sock.groupAcceptInvite(code);
+        if (jid) {
+            await refreshGroupMetadata(jid);
+        }
+
+        reply(ctx, 'group_joined', { jid: jid || null, code });
+        log.message('Joined group through invite', { jid });
+    });
+}
+
+async function handleTypingStart(ctx, data) {
+    const { to } = data;
+
+    try {
+        if (sock && baileysConnectionStatus === 'open') {
+            await sock.sendPresenceUpdate('composing', to);
+            log.debug('Typing indicator started', { to });
+        }
+        reply(ctx, 'typing_status', { to, state: 'composing' });
     } catch (error) {
-        timer.end({ error: true });
-        const errorResponse = errorHandler.messaging(error, 'send message');
-        sendToFrontend('message_error', errorResponse);
+        const errorResponse = errorHandler.messaging(error, 'start typing indicator');
+        replyError(ctx, 'typing_error', errorResponse, { to, error: errorResponse });
+    }
+}
 
-        // Try to save failed message to database for retry
-        try {
-            await database.saveMessage(
-                `failed_${Date.now()}`,
-                to,
-                true,
-                message,
-                Date.now(),
-                'text',
-                'failed'
-            );
-        } catch (dbError) {
-            log.error('Failed to save failed message to database', dbError);
+async function handleTypingStop(ctx, data) {
+    const { to } = data;
+
+    try {
+        if (sock && baileysConnectionStatus === 'open') {
+            await sock.sendPresenceUpdate('paused', to);
+            log.debug('Typing indicator stopped', { to });
         }
+        reply(ctx, 'typing_status', { to, state: 'paused' });
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'stop typing indicator');
+        replyError(ctx, 'typing_error', errorResponse, { to, error: errorResponse });
     }
 }
 
-async function handleGetMessageHistory(data) {
-    const timer = performance.start('get_message_history');
-    const { jid, limit = 50, offset = 0 } = data;
+async function handleBlockContact(ctx, data) {
+    await setBlockStatus(ctx, data.jid, true);
+}
 
-    try {
-        log.message('Fetching message history', { jid, limit, offset });
+async function handleUnblockContact(ctx, data) {
+    await setBlockStatus(ctx, data.jid, false);
+}
 
-        // Get messages from database with enhanced message data
-        let messages = await database.getMessagesWithSender(jid, limit, offset);
+async function setBlockStatus(ctx, jid, blocked) {
+    if (isJidGroup(jid)) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Groups cannot be blocked', {
+            fields: [{ field: 'jid', problem: 'must be a contact JID' }]
+        });
+    }
 
-        if (messages.length === 0 && sock && baileysConnectionStatus === 'open') {
-            // If no messages in database, try to fetch from Baileys directly
-            try {
-                const baileysMessages = await sock.fetchMessageHistory(jid, limit);
+    try {
+        await sock.updateBlockStatus(jid, blocked ? 'block' : 'unblock');
 
-                // Save to database and process
-                for (const msg of baileysMessages) {
-                    const messageContent = getDisplayMessage(msg);
-                    const messageType = getMessageType(msg);
-                    if (messageContent || messageType !== 'text') {
-                        await database.saveMessage(
-                            msg.key.id,
-                            jid,
-                            msg.key.fromMe,
-                            messageContent || '',
-                            msg.messageTimestamp * 1000, // Convert to milliseconds
-                            messageType,
-                            'received',
-                            msg.pushName || null
-                        );
-                    }
-                }
+        if (await database.setContactBlocked(jid, blocked)) {
+            sendToFrontend('blocklist_updated', blocked ? { blocked: [jid], unblocked: [] } : { blocked: [], unblocked: [jid] });
+        }
 
-                // Get the saved messages with enhanced data
-                messages = await database.getMessagesWithSender(jid, limit, offset);
+        reply(ctx, blocked ? 'contact_blocked' : 'contact_unblocked', { jid, blocked });
+        log.message(blocked ? 'Contact blocked' : 'Contact unblocked', { jid });
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, blocked ? 'block contact' : 'unblock contact');
+        replyError(ctx, 'block_error', errorResponse, { jid, blocked, error: errorResponse });
+    }
+}
 
-            } catch (baileysError) {
-                log.warn('Failed to fetch from Baileys, using database only', baileysError);
-            }
+async function handleGetBlocklist(ctx, data) {
+    try {
+        if (data.refresh && sock && baileysConnectionStatus === 'open') {
+            await syncBlocklist();
         }
 
-        // Process messages for frontend with all required fields
-        const processedMessages = messages.map(msg => ({
-            id: msg.id,
-            content: msg.content,
-            timestamp: msg.timestamp,
-            type: msg.message_type || 'text',
-            from: msg.from_me === 1 ? 'me' : msg.chat_jid, // 'me' if from user, sender JID if from contact
-            fromMe: msg.from_me === 1,
-            status: msg.status,
-            senderName: msg.display_sender_name || (msg.from_me === 1 ? 'You' : null),
-            senderAvatar: msg.sender_avatar_base64
-        }));
+        const contacts = await database.getBlockedContacts();
+        reply(ctx, 'blocklist', {
+            contacts: contacts.map(contact => ({
+                jid: contact.jid,
+                name: contact.name || null,
+                phoneNumber: contact.phone_number || null,
+                avatarBase64: contact.avatar_base64 || null
+            }))
+        });
+    } catch (error) {
+        const errorResponse = errorHandler.messaging(error, 'get blocklist');
+        replyError(ctx, 'blocklist_error', errorResponse, { error: errorResponse });
+    }
+}
 
-        sendToFrontend('message_history', { jid, messages: processedMessages });
+// Store WhatsApp's complete blocklist and tell the frontend what changed
+async function applyBlocklist(jids) {
+    const changes = await database.setBlocklist(jids);
+    if (changes.blocked.length > 0 || changes.unblocked.length > 0) {
+        sendToFrontend('blocklist_updated', changes);
+    }
+    return changes;
+}
 
-        timer.end({ jid, messageCount: processedMessages.length });
-        log.message('Message history sent', { jid, count: processedMessages.length });
+async function syncBlocklist() {
+    return applyBlocklist(await sock.fetchBlocklist());
+}
 
+// The full blocklist, sent by WhatsApp after connecting
+async function handleBlocklistSet({ blocklist }) {
+    try {
+        await applyBlocklist(blocklist || []);
     } catch (error) {
-        timer.end({ error: true });
-        const errorResponse = errorHandler.messaging(error, 'get message history');
-        sendToFrontend('message_history_error', errorResponse);
+        log.error('Error handling blocklist', error);
     }
 }
 
-async function handleTypingStart(data) {
-    const { to } = data;
-
+// Contacts blocked or unblocked, including from other devices
+async function handleBlocklistUpdate({ blocklist, type }) {
     try {
-        if (sock && baileysConnectionStatus === 'open') {
-            await sock.sendPresenceUpdate('composing', to);
-            log.debug('Typing indicator started', { to });
+        const changes = { blocked: [], unblocked: [] };
+        for (const jid of blocklist || []) {
+            if (await database.setContactBlocked(jid, type === 'add')) {
+                changes[type === 'add' ? 'blocked' : 'unblocked'].push(jid);
+            }
+        }
+
+        if (changes.blocked.length > 0 || changes.unblocked.length > 0) {
+            sendToFrontend('blocklist_updated', changes);
         }
     } catch (error) {
-        log.error('Failed to send typing indicator', error, { to });
+        log.error('Error handling blocklist update', error);
     }
 }
 
-async function handleTypingStop(data) {
-    const { to } = data;
+// WhatsApp only reports presence for chats we subscribed to, typically the open chat
+async function handleSubscribePresence(ctx, data) {
+    const { jid } = data;
 
     try {
-        if (sock && baileysConnectionStatus === 'open') {
-            await sock.sendPresenceUpdate('paused', to);
-            log.debug('Typing indicator stopped', { to });
-        }
+        await sock.presenceSubscribe(jid);
+
+        const contact = isJidGroup(jid) ? null : await database.getContact(jid);
+        reply(ctx, 'presence_subscribed', { jid, lastSeen: contact?.last_seen || null });
+        log.debug('Subscribed to presence', { jid });
     } catch (error) {
-        log.error('Failed to stop typing indicator', error, { to });
+        const errorResponse = errorHandler.messaging(error, 'subscribe to presence');
+        replyError(ctx, 'presence_error', errorResponse, { jid, error: errorResponse });
     }
 }
 
-async function handleHealthCheck() {
+async function handleHealthCheck(ctx) {
     try {
         const health = await serviceManager.runHealthChecks();
         const status = serviceManager.getStatus();
 
-        sendToFrontend('health_status', {
+        reply(ctx, 'health_status', {
             ...health,
             backend: status,
             baileys: {
                 status: baileysConnectionStatus,
                 connected: baileysConnectionStatus === 'open'
-            }
+            },
+            clients: clientRegistry.getStatus(),
+            outbox: eventOutbox.getStatus(),
+            messageQueue: await messageQueue.getStatus()
         });
 
         log.debug('Health check completed', health);
 
     } catch (error) {
         const errorResponse = errorHandler.generic(error, 'health check');
-        sendToFrontend('health_error', errorResponse);
+        replyError(ctx, 'health_error', errorResponse);
     }
 }
 
-async function handleSyncContacts() {
+async function handleSyncContacts(ctx) {
     const timer = performance.start('sync_contacts_manual');
 
     try {
         log.info('Manual contact synchronization requested');
 
-        if (!sock || baileysConnectionStatus !== 'open') {
-            throw new Error('Not connected to WhatsApp');
-        }
-
         // Get all contacts that need syncing
         const chats = await database.getChats(200);
         let syncedCount = 0;
         let errorCount = 0;
 
-        sendToFrontend('sync_contacts_started', { totalChats: chats.length });
+        reply(ctx, 'sync_contacts_started', { totalChats: chats.length });
 
         for (const chat of chats) {
             try {
@@ -510,7 +3128,7 @@ async function handleSyncContacts() {
 
                 // Send progress update every 10 contacts
                 if ((syncedCount + errorCount) % 10 === 0) {
-                    sendToFrontend('sync_contacts_progress', {
+                    reply(ctx, 'sync_contacts_progress', {
                         processed: syncedCount + errorCount,
                         synced: syncedCount,
                         total: chats.length
@@ -531,7 +3149,7 @@ async function handleSyncContacts() {
 
         timer.end({ syncedCount, errorCount });
 
-        sendToFrontend('sync_contacts_completed', {
+        reply(ctx, 'sync_contacts_completed', {
             syncedCount,
             errorCount,
             totalProcessed: chats.length
@@ -545,19 +3163,15 @@ async function handleSyncContacts() {
     } catch (error) {
         timer.end({ error: true });
         const errorResponse = errorHandler.generic(error, 'sync contacts');
-        sendToFrontend('sync_contacts_error', errorResponse);
+        replyError(ctx, 'sync_contacts_error', errorResponse);
     }
 }
 
-async function handleGetContactInfo(data) {
+async function handleGetContactInfo(ctx, data) {
     const timer = performance.start('get_contact_info');
     const { jid } = data;
 
     try {
-        if (!jid) {
-            throw new Error('Missing required field: jid');
-        }
-
         log.debug('Getting contact info', { jid });
 
         // Get contact from database
@@ -566,6 +3180,10 @@ async function handleGetContactInfo(data) {
         // Get chat info
         const chat = await database.getChatWithContact(jid);
 
+        if (!contact && !chat) {
+            throw new CommandError(ErrorCodes.NOT_FOUND, `Unknown contact: ${jid}`);
+        }
+
         // Get avatar base64 data
         let avatarBase64 = contact?.avatar_base64;
 
@@ -574,12 +3192,12 @@ async function handleGetContactInfo(data) {
             name: contact?.name || chat?.contact_name || chat?.name || jid,
             phoneNumber: contact?.phone_number || chat?.contact_phone_number,
             avatarBase64: avatarBase64,
-            isBlocked: contact?.is_blocked || false,
-            lastSeen: chat?.last_message_timestamp,
+            isBlocked: contact?.is_blocked === 1,
+            lastSeen: contact?.last_seen || null,
             messageCount: 0 // Could be enhanced to count messages
         };
 
-        sendToFrontend('contact_info', { jid, contactInfo });
+        reply(ctx, 'contact_info', { jid, contactInfo });
 
         timer.end({ jid, hasAvatar: !!avatarBase64 });
         log.debug('Contact info sent', { jid, hasAvatar: !!avatarBase64 });
@@ -587,7 +3205,7 @@ async function handleGetContactInfo(data) {
     } catch (error) {
         timer.end({ error: true });
         const errorResponse = errorHandler.generic(error, 'get contact info');
-        sendToFrontend('contact_info_error', { jid, error: errorResponse });
+        replyError(ctx, 'contact_info_error', errorResponse, { jid, error: errorResponse });
     }
 }
 
@@ -615,12 +3233,8 @@ async function connectToWhatsApp() {
             getMessage: async (key) => {
                 // Get message from database for message resending and poll decryption
                 try {
-                    const message = await database.getMessage(key.id);
-                    return message ? {
-                        key: key,
-                        message: JSON.parse(message.content || '{}'),
-                        messageTimestamp: message.timestamp
-                    } : undefined;
+                    const rawMessage = await database.getRawMessage(key.id);
+                    return rawMessage ? deserializeMessage(rawMessage) : undefined;
                 } catch (error) {
                     log.debug('Failed to get message for key', { keyId: key.id, error: error.message });
                     return undefined;
@@ -633,6 +3247,14 @@ async function connectToWhatsApp() {
         sock.ev.on('connection.update', handleConnectionUpdate);
         sock.ev.on('creds.update', saveCreds);
         sock.ev.on('messages.upsert', handleMessagesUpsert);
+        sock.ev.on('messages.update', handleMessagesUpdate);
+        sock.ev.on('chats.update', handleChatsUpdate);
+        sock.ev.on('message-receipt.update', handleMessageReceiptUpdate);
+        sock.ev.on('groups.upsert', handleGroupsUpsert);
+        sock.ev.on('groups.update', handleGroupsUpdate);
+        sock.ev.on('group-participants.update', handleGroupParticipantsUpdate);
+        sock.ev.on('blocklist.set', handleBlocklistSet);
+        sock.ev.on('blocklist.update', handleBlocklistUpdate);
         sock.ev.on('presence.update', handlePresenceUpdate);
         sock.ev.on('messaging-history.set', handleHistorySet);
 
@@ -690,6 +3312,7 @@ async function handleConnectionUpdate(update) {
 
         if (connection === 'close') {
             initialChatsPayload = null;
+            clearTypingIndicators();
             const statusCode = (lastDisconnect?.error instanceof Boom) ?
                 lastDisconnect.error.output.statusCode : 500;
             const reason = lastDisconnect?.error?.message || 'Unknown reason';
@@ -743,6 +3366,12 @@ async function handleConnectionUpdate(update) {
             sendToFrontend('baileys_ready', {});
             sendToFrontend('connection_status', { status: 'open' });
 
+            // Send whatever was queued or came due while offline before the (slow) sync starts
+            messageQueue.flush();
+            fireDueScheduledMessages();
+            syncGroups();
+            syncBlocklist().catch(error => log.warn('Failed to sync blocklist', { error: error.message }));
+
             // Check if this is first login or if we need comprehensive sync
             const isFirstLogin = await isFirstTimeLogin();
             if (isFirstLogin) {
@@ -810,7 +3439,7 @@ async function handleHistorySet(item) {
                 const lastMessage = chat.messages?.[0];
                 const lastMessageType = lastMessage ? getMessageType(lastMessage) : 'text';
                 const lastMessageContent = lastMessage ? getDisplayMessage(lastMessage) : null;
-                const lastMessageFrom = lastMessage ? (lastMessage.key.fromMe ? 'me' : chat.id) : null;
+                const lastMessageFrom = lastMessage ? (lastMessage.key.fromMe ? 'me' : (getMessageSenderJid(lastMessage) || chat.id)) : null;
                 const lastMessageTimestamp = lastMessage ? getMessageTimestamp(lastMessage) : Date.now();
 
                 const chatData = {
@@ -836,7 +3465,8 @@ async function handleHistorySet(item) {
                     chatData.timestamp,
                     null,
                     lastMessageType,
-                    lastMessageFrom
+                    lastMessageFrom,
+                    chat.unreadCount ?? null
                 );
 
                 // Save contact information if available
@@ -907,10 +3537,8 @@ async function handleHistorySet(item) {
 
         initialChatsPayload = { chats };
 
-        if (clientIsWaitingForChats) {
-            log.baileys('Client was waiting for chats, sending now');
-            sendToFrontend('initial_chats', initialChatsPayload);
-            clientIsWaitingForChats = false;
+        if (sendInitialChatsToWaitingClients() > 0) {
+            log.baileys('Clients were waiting for chats, sent now');
         }
 
         timer.end({
@@ -937,35 +3565,30 @@ async function saveMessagesFromHistory(chat, collectionSession) {
 
     for (const msg of chat.messages) {
         try {
-            const messageContent = getDisplayMessage(msg);
-            const messageType = getMessageType(msg);
             const messageKey = getMessageKey(msg);
-            const timestamp = getMessageTimestamp(msg);
-
-            if (messageKey?.id) {
-                await database.saveMessage(
-                    messageKey.id,
-                    chat.id,
-                    messageKey.fromMe || false,
-                    messageContent || '[Message content unavailable]',
-                    timestamp,
-                    messageType,
-                    messageKey.fromMe ? 'sent' : 'received',
-                    msg.pushName || msg.participant || chat.name || 'Unknown',
-                    collectionSession // Add collection session tracking
-                );
-                savedMessageCount++;
-
-                if (savedMessageCount <= 3) { // Log first few messages for debugging
-                    log.debug(`💾 Saved message ${savedMessageCount}: ${messageKey.id} - "${messageContent?.substring(0, 50)}..." [${collectionSession}]`);
-                }
-            } else {
+            if (!messageKey?.id) {
                 skippedMessageCount++;
                 log.debug(`⚠️ Skipped message without valid key in chat ${chat.id}`, {
                     hasMessage: !!msg.message,
                     hasKey: !!messageKey,
                     hasId: !!messageKey?.id
                 });
+                continue;
+            }
+
+            // A group's name is not the name of whoever sent the message
+            const saved = await ingestMessage(msg, {
+                chatJid: chat.id,
+                senderName: msg.pushName || (isJidGroup(chat.id) ? null : chat.name) || null,
+                collectionSession // Add collection session tracking
+            });
+
+            if (saved) {
+                savedMessageCount++;
+
+                if (savedMessageCount <= 3) { // Log first few messages for debugging
+                    log.debug(`💾 Saved message ${savedMessageCount}: ${saved.id} - "${saved.content.substring(0, 50)}..." [${collectionSession}]`);
+                }
             }
         } catch (msgError) {
             skippedMessageCount++;
@@ -985,78 +3608,394 @@ async function saveMessagesFromHistory(chat, collectionSession) {
     return savedMessageCount;
 }
 
-// Add missing message handling functions
-async function handleMessagesUpsert(m) {
-    const timer = performance.start('message_upsert');
+// Chat changes synced from other devices, e.g. a chat read on the phone
+async function handleChatsUpdate(updates) {
+    for (const update of updates) {
+        try {
+            if (typeof update.unreadCount !== 'number') continue;
 
-    try {
-        const msg = m.messages[0];
-        if (!msg.key.fromMe && m.type === 'notify') {
-            const messageContent = getDisplayMessage(msg);
-            if (messageContent) {
-                // Get contact name from WhatsApp data
-                const contactName = msg.pushName || msg.notify || null;
-                const jid = msg.key.remoteJid;
-
-                // Save message to database with sender name and real-time session
-                await database.saveMessage(
-                    msg.key.id,
-                    jid,
-                    false, // fromMe
-                    messageContent,
-                    msg.messageTimestamp * 1000,
-                    'text',
-                    'received',
-                    contactName, // Pass sender name
-                    'real-time' // Collection session for real-time messages
-                );
+            if (await database.setUnreadCount(update.id, Math.max(update.unreadCount, 0))) {
+                await pushChatUpdate(update.id);
+            }
+        } catch (error) {
+            log.error('Error handling chat update', { jid: update?.id, error: error.message });
+        }
+    }
+}
 
-                // Get updated contact info
-                const contact = await database.getContact(jid);
+// Message status names for WhatsApp's WebMessageInfo.Status values
+const MESSAGE_STATUS_NAMES = {
+    [proto.WebMessageInfo.Status.ERROR]: 'failed',
+    [proto.WebMessageInfo.Status.PENDING]: 'pending',
+    [proto.WebMessageInfo.Status.SERVER_ACK]: 'sent',
+    [proto.WebMessageInfo.Status.DELIVERY_ACK]: 'delivered',
+    [proto.WebMessageInfo.Status.READ]: 'read',
+    [proto.WebMessageInfo.Status.PLAYED]: 'played'
+};
+
+// Status to store for a message from WhatsApp
+function getMessageStatus(msg) {
+    const key = getMessageKey(msg);
+    if (!key?.fromMe) {
+        return 'received';
+    }
+    return MESSAGE_STATUS_NAMES[msg.status] || 'sent';
+}
 
-                // Send to frontend with comprehensive message data
-                const messageType = getMessageType(msg);
-                sendToFrontend('newMessage', {
-                    id: msg.key.id,
-                    content: messageContent,
-                    timestamp: msg.messageTimestamp * 1000,
-                    type: messageType,
-                    from: msg.key.fromMe ? 'me' : jid,
-                    fromMe: msg.key.fromMe,
-                    chatJid: jid,
-                    contactName: contactName,
-                    avatarBase64: contact?.avatar_base64,
-                    senderName: contactName
-                });
+// Status changes and decrypted poll votes for messages, reported by WhatsApp for chats we are part of
+async function handleMessagesUpdate(updates) {
+    for (const { key, update } of updates) {
+        try {
+            if (update.pollUpdates) {
+                await handlePollUpdates(key, update.pollUpdates);
+            }
+
+            const status = MESSAGE_STATUS_NAMES[update.status];
+            if (status && await database.updateMessageStatus(key.id, status)) {
+                sendToFrontend('message_status', { id: key.id, chatJid: key.remoteJid, status, participant: null });
+            }
+        } catch (error) {
+            log.error('Error handling message update', { messageId: key?.id, error: error.message });
+        }
+    }
+}
+
+// Per-participant receipts, which WhatsApp sends for group messages
+async function handleMessageReceiptUpdate(updates) {
+    for (const { key, receipt } of updates) {
+        try {
+            let status = 'delivered';
+            let timestamp = receipt.receiptTimestamp;
+            if (receipt.playedTimestamp) {
+                status = 'played';
+                timestamp = receipt.playedTimestamp;
+            } else if (receipt.readTimestamp) {
+                status = 'read';
+                timestamp = receipt.readTimestamp;
+            }
 
-                log.message('New message received', {
-                    from: jid,
-                    messageLength: messageContent.length,
-                    hasAvatar: !!contact?.avatar_base64
+            const receivedAt = timestamp ? getMessageTimestamp({ messageTimestamp: timestamp }) : Date.now();
+            if (await database.saveMessageReceipt(key.id, receipt.userJid, status, receivedAt)) {
+                sendToFrontend('message_status', {
+                    id: key.id,
+                    chatJid: key.remoteJid,
+                    status,
+                    participant: receipt.userJid,
+                    timestamp: receivedAt
                 });
             }
+        } catch (error) {
+            log.error('Error handling message receipt', { messageId: key?.id, error: error.message });
         }
+    }
+}
 
-        timer.end();
+// Group info for the frontend from a database.getGroup row
+function formatGroupForFrontend(group) {
+    const participants = group.participants.map(participant => ({
+        jid: participant.participant_jid,
+        name: participant.name || null,
+        avatarBase64: participant.avatar_base64 || null,
+        role: participant.role,
+        isAdmin: participant.role !== 'member'
+    }));
+    const me = sock?.user?.id ? participants.find(participant => areJidsSameUser(participant.jid, sock.user.id)) : null;
+
+    return {
+        jid: group.jid,
+        subject: group.subject,
+        description: group.description,
+        owner: group.owner_jid,
+        createdAt: group.creation_time,
+        announcement: group.announcement === 1,
+        locked: group.locked === 1,
+        size: participants.length,
+        participants,
+        isMember: !!me,
+        isAdmin: !!me?.isAdmin
+    };
+}
 
-    } catch (error) {
-        timer.end({ error: true });
-        log.error('Error handling message upsert', error);
+// Broadcast the stored state of a group and refresh its chat list entry
+async function pushGroupUpdate(jid) {
+    const group = await database.getGroup(jid);
+    if (!group) return;
+
+    sendToFrontend('group_updated', formatGroupForFrontend(group));
+    await pushChatUpdate(jid);
+}
+
+// Store complete group metadata as returned by groupMetadata() or groups.upsert.
+// Background syncs pass silent to avoid an event per group.
+async function storeGroupMetadata(metadata, { silent = false } = {}) {
+    await database.saveGroup(metadata.id, {
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        ownerJid: metadata.owner,
+        creationTime: metadata.creation ? metadata.creation * 1000 : undefined,
+        announcement: metadata.announce,
+        locked: metadata.restrict
+    });
+    await database.setGroupParticipants(metadata.id, (metadata.participants || []).map(participant => ({
+        jid: participant.id,
+        role: participant.admin || 'member'
+    })));
+    await database.saveChat(metadata.id, metadata.subject || null);
+
+    if (!silent) {
+        await pushGroupUpdate(metadata.id);
+    }
+}
+
+// Fetch a group's metadata from WhatsApp and store it
+async function refreshGroupMetadata(jid, options) {
+    const metadata = await sock.groupMetadata(jid);
+    await storeGroupMetadata(metadata, options);
+    return metadata;
+}
+
+// Apply a partial group change; unknown groups are fetched in full instead
+async function applyGroupUpdate(update) {
+    if (!await database.getGroup(update.id)) {
+        if (sock && baileysConnectionStatus === 'open') {
+            await refreshGroupMetadata(update.id);
+        }
+        return;
+    }
+
+    await database.saveGroup(update.id, {
+        subject: update.subject,
+        description: update.desc,
+        announcement: update.announce,
+        locked: update.restrict
+    });
+    if (update.subject) {
+        await database.saveChat(update.id, update.subject);
+    }
+
+    await pushGroupUpdate(update.id);
+}
+
+// Groups we joined or created, including on other devices
+async function handleGroupsUpsert(groups) {
+    for (const metadata of groups) {
+        try {
+            await storeGroupMetadata(metadata);
+        } catch (error) {
+            log.error('Error storing group', { jid: metadata?.id, error: error.message });
+        }
+    }
+}
+
+// Subject, description and settings changes
+async function handleGroupsUpdate(updates) {
+    for (const update of updates) {
+        try {
+            await applyGroupUpdate(update);
+        } catch (error) {
+            log.error('Error handling group update', { jid: update?.id, error: error.message });
+        }
     }
 }
 
-async function handlePresenceUpdate(update) {
+// Participants joining, leaving, promoted or demoted. The matching timeline
+// entries arrive separately as system messages through messages.upsert.
+async function handleGroupParticipantsUpdate({ id, participants, action }) {
     try {
-        const { id, presences } = update;
-        for (const [jid, presence] of Object.entries(presences)) {
-            if (presence.lastKnownPresence === 'composing') {
-                sendToFrontend('typing_start', { from: jid });
-            } else if (presence.lastKnownPresence === 'paused') {
-                sendToFrontend('typing_stop', { from: jid });
+        const jids = participants.map(participant => (typeof participant === 'string' ? participant : participant.id));
+
+        if (!['add', 'remove', 'promote', 'demote'].includes(action)) {
+            log.debug('Ignoring group participants update', { jid: id, action });
+            return;
+        }
+
+        if (!await database.getGroup(id)) {
+            if (sock && baileysConnectionStatus === 'open') {
+                await refreshGroupMetadata(id);
             }
+            return;
+        }
+
+        await database.updateGroupParticipants(id, jids, action);
+        await pushGroupUpdate(id);
+
+        log.baileys('Group participants updated', { jid: id, action, count: jids.length });
+    } catch (error) {
+        log.error('Error handling group participants update', { jid: id, action, error: error.message });
+    }
+}
+
+// Load every group we are part of, so group info is available without a fetch per chat
+async function syncGroups() {
+    const timer = performance.start('sync_groups');
+
+    try {
+        const groups = await sock.groupFetchAllParticipating();
+        for (const metadata of Object.values(groups)) {
+            await storeGroupMetadata(metadata, { silent: true });
         }
+
+        timer.end({ count: Object.keys(groups).length });
     } catch (error) {
-        log.error('Error handling presence update', error);
+        timer.end({ error: true });
+        log.warn('Failed to sync groups', { error: error.message });
+    }
+}
+
+// Messages added to chats. 'notify' batches are new messages the user should hear
+// about; 'append' batches add messages silently, such as messages we sent from
+// another device or ones caught up after being offline.
+async function handleMessagesUpsert(m) {
+    const timer = performance.start('message_upsert');
+    const notify = m.type === 'notify';
+    const seen = new Set();
+    const changedChats = new Set();
+    let added = 0;
+
+    for (const msg of m.messages) {
+        const id = getMessageKey(msg)?.id;
+
+        // The same message can appear twice in one batch
+        if (!id || seen.has(id)) continue;
+        seen.add(id);
+
+        try {
+            const message = await ingestMessage(msg, { collectionSession: 'real-time' });
+
+            // Messages we already store (such as our own queued messages echoed
+            // back by Baileys) are only updated, never announced again
+            if (!message?.isNew) continue;
+
+            added++;
+            changedChats.add(message.chatJid);
+
+            // Only live messages from others alert the user; blocked senders can
+            // still write in shared groups but never raise a notification
+            const alert = notify && !message.fromMe && message.type !== 'system' &&
+                !await database.isContactBlocked(message.senderJid);
+
+            if (alert) {
+                await database.incrementUnreadCount(message.chatJid);
+            }
+
+            await announceNewMessage(msg, message, alert);
+
+        } catch (error) {
+            log.error('Error handling upserted message', { messageId: id, error: error.message });
+        }
+    }
+
+    for (const jid of changedChats) {
+        await pushChatUpdate(jid);
+    }
+
+    timer.end({ type: m.type, count: m.messages.length, added });
+}
+
+// Send a newly stored message to the frontend
+async function announceNewMessage(msg, message, notify) {
+    const { id, chatJid, fromMe, senderJid } = message;
+
+    // A message ends its sender's typing indicator
+    if (!fromMe) {
+        stopTypingIndicator(chatJid, senderJid);
+    }
+
+    // Name and avatar of the sender; for groups that is the participant, not the group
+    const contact = await database.getContact(fromMe ? chatJid : senderJid);
+    const senderName = fromMe ? 'You' : (contact?.name || message.senderName || senderJid);
+    const replyTo = await getIncomingReplyPreview(msg, chatJid);
+    const polls = message.type === 'poll' ? await database.getPollResults([id]) : {};
+
+    sendToFrontend('newMessage', {
+        id,
+        content: message.content,
+        timestamp: message.timestamp,
+        type: message.type,
+        from: fromMe ? 'me' : senderJid,
+        fromMe,
+        senderJid,
+        status: message.status,
+        chatJid,
+        contactName: fromMe ? null : senderName,
+        avatarBase64: contact?.avatar_base64,
+        senderName,
+        notify,
+        senderBlocked: !fromMe && contact?.is_blocked === 1,
+        replyTo,
+        poll: polls[id] || null,
+        payload: message.payload
+    });
+
+    log.message(fromMe ? 'Message from another device stored' : 'New message received', {
+        chatJid,
+        type: message.type,
+        notify,
+        hasAvatar: !!contact?.avatar_base64
+    });
+}
+
+// Typing indicators whose closing "paused" never arrives are dropped after this long
+const TYPING_TIMEOUT = 25000; // 25 seconds
+
+// Active typing indicators by "chatJid|participant", each with its expiry timer
+const typingIndicators = new Map();
+
+// Presence of the people in a chat we subscribed to: available, unavailable,
+// composing, recording or paused. In groups each participant is reported separately.
+async function handlePresenceUpdate({ id, presences }) {
+    for (const [participant, presence] of Object.entries(presences || {})) {
+        try {
+            const lastSeen = presence.lastSeen ? toNumber(presence.lastSeen) * 1000 : null;
+            if (lastSeen) {
+                await database.updateContactLastSeen(participant, lastSeen);
+            }
+
+            sendToFrontend('presence_update', {
+                chatJid: id,
+                participant,
+                presence: presence.lastKnownPresence,
+                lastSeen
+            });
+
+            if (presence.lastKnownPresence === 'composing' || presence.lastKnownPresence === 'recording') {
+                startTypingIndicator(id, participant, presence.lastKnownPresence === 'recording');
+            } else {
+                stopTypingIndicator(id, participant);
+            }
+        } catch (error) {
+            log.error('Error handling presence update', { chatJid: id, participant, error: error.message });
+        }
+    }
+}
+
+function startTypingIndicator(chatJid, participant, recording) {
+    const key = `${chatJid}|${participant}`;
+    clearTimeout(typingIndicators.get(key));
+
+    const timer = setTimeout(() => stopTypingIndicator(chatJid, participant, true), TYPING_TIMEOUT);
+    timer.unref();
+    typingIndicators.set(key, timer);
+
+    sendToFrontend('typing_start', { from: participant, chatJid, participant, recording });
+}
+
+// expired is set when the indicator timed out rather than being stopped by WhatsApp
+function stopTypingIndicator(chatJid, participant, expired = false) {
+    const key = `${chatJid}|${participant}`;
+    if (!typingIndicators.has(key)) return;
+
+    clearTimeout(typingIndicators.get(key));
+    typingIndicators.delete(key);
+
+    sendToFrontend('typing_stop', { from: participant, chatJid, participant, expired });
+}
+
+// Presence is not reported while disconnected, so no indicator can be trusted
+function clearTypingIndicators() {
+    for (const key of [...typingIndicators.keys()]) {
+        const [chatJid, participant] = key.split('|');
+        stopTypingIndicator(chatJid, participant, true);
     }
 }
 
@@ -1069,25 +4008,11 @@ async function loadInitialChats() {
         // Try to get from database first
         const dbChats = await database.getChats();
         if (dbChats.length > 0) {
-            const chats = dbChats.map(chat => ({
-                jid: chat.jid,
-                name: chat.contact_name || chat.name || chat.jid, // Prefer contact name
-                lastMessage: formatLastMessageContent(chat.last_message_content, chat.last_message_type || 'text'),
-                timestamp: chat.last_message_timestamp,
-                lastMessageType: chat.last_message_type || 'text',
-                lastMessageFrom: chat.last_message_from,
-                unreadCount: chat.unread_count || 0,
-                avatarBase64: chat.contact_avatar_base64, // Contact avatar
-                chatAvatarBase64: chat.avatar_base64, // Chat-specific avatar (for groups)
-                phoneNumber: chat.contact_phone_number
-            }));
+            const chats = dbChats.map(formatChatForFrontend);
 
             initialChatsPayload = { chats };
 
-            if (clientIsWaitingForChats) {
-                sendToFrontend('initial_chats', initialChatsPayload);
-                clientIsWaitingForChats = false;
-            }
+            sendInitialChatsToWaitingClients();
 
             timer.end({ source: 'database', count: chats.length });
             log.baileys('Initial chats loaded from database', { count: chats.length });
@@ -1305,11 +4230,9 @@ async function tryFetchChatsFromStore() {
             // Set the initial chats payload
             initialChatsPayload = { chats: processedChats };
 
-            // Send to frontend if waiting
-            if (clientIsWaitingForChats) {
-                log.info('Client was waiting for chats, sending store chats now');
-                sendToFrontend('initial_chats', initialChatsPayload);
-                clientIsWaitingForChats = false;
+            // Send to any frontend clients that are waiting
+            if (sendInitialChatsToWaitingClients() > 0) {
+                log.info('Clients were waiting for chats, sent store chats now');
             }
 
             timer.end({ success: true, count: processedChats.length });
@@ -1670,18 +4593,7 @@ async function loadMessagesForChat(jid, limit = 50) {
 
 // Get message type from WhatsApp message object
 function getMessageType(msg) {
-    if (!msg) return 'text';
-
-    // Handle both regular messages and history messages
-    // History messages have structure: msg.message.message.conversation
-    // Regular messages have structure: msg.message.conversation
-    let messageObj = msg.message;
-
-    // If this is a history message, unwrap the nested structure
-    if (messageObj && messageObj.message) {
-        messageObj = messageObj.message;
-    }
-
+    const messageObj = unwrapMessage(msg);
     if (!messageObj) return 'text';
 
     const messageTypes = {
@@ -1702,6 +4614,8 @@ function getMessageType(msg) {
         listMessage: 'list',
         reactionMessage: 'reaction',
         pollCreationMessage: 'poll',
+        pollCreationMessageV2: 'poll',
+        pollCreationMessageV3: 'poll',
         pollUpdateMessage: 'poll_update'
     };
 
@@ -1766,6 +4680,41 @@ function getMessageKey(msg) {
     return null;
 }
 
+// Chat list entry for the frontend from a getChats/getChatWithContact row
+function formatChatForFrontend(chat) {
+    return {
+        jid: chat.jid,
+        name: chat.contact_name || chat.name || chat.jid, // Prefer contact name
+        lastMessage: formatLastMessageContent(chat.last_message_content, chat.last_message_type || 'text'),
+        timestamp: chat.last_message_timestamp,
+        lastMessageType: chat.last_message_type || 'text',
+        lastMessageFrom: chat.last_message_from,
+        unreadCount: chat.unread_count || 0,
+        avatarBase64: chat.contact_avatar_base64, // Contact avatar
+        chatAvatarBase64: chat.avatar_base64, // Chat-specific avatar (for groups)
+        phoneNumber: chat.contact_phone_number
+    };
+}
+
+// Send the current state of one chat to the frontend and refresh the cached chat list
+async function pushChatUpdate(jid) {
+    const chat = await database.getChatWithContact(jid);
+    if (!chat) return;
+
+    const entry = formatChatForFrontend(chat);
+
+    if (initialChatsPayload) {
+        const index = initialChatsPayload.chats.findIndex(cached => cached.jid === jid);
+        if (index === -1) {
+            initialChatsPayload.chats.unshift(entry);
+        } else {
+            initialChatsPayload.chats[index] = entry;
+        }
+    }
+
+    sendToFrontend('chat_updated', entry);
+}
+
 // Format last message content according to requirements
 function formatLastMessageContent(content, messageType) {
     // If message type is text, return the full content
@@ -1852,11 +4801,10 @@ async function downloadContactInfo(jid) {
         // Try to get contact name from WhatsApp if we don't have it
         if (!existingContact?.name || existingContact.name === jid) {
             try {
-                // For group chats, get group metadata
-                if (jid.endsWith('@g.us')) {
-                    const groupMetadata = await sock.groupMetadata(jid);
+                // For group chats, fetch the group into the group store
+                if (jid.endsWith('@g.us') && !await database.getGroup(jid)) {
+                    const groupMetadata = await refreshGroupMetadata(jid, { silent: true });
                     if (groupMetadata?.subject) {
-                        await database.saveContact(jid, groupMetadata.subject);
                         nameUpdated = true;
                         log.debug(`Updated group name: ${jid} -> ${groupMetadata.subject}`);
                     }
@@ -2229,12 +5177,12 @@ async function syncContactData(jid) {
         // Check if we need to update group metadata
         if (jid.endsWith('@g.us')) {
             try {
-                const groupMetadata = await sock.groupMetadata(jid);
-                // Only update if we have a new name and it's different from what we have
+                const previousGroup = await database.getGroup(jid);
+                const groupMetadata = await refreshGroupMetadata(jid, { silent: true });
+                // Only report an update if the name changed
                 if (groupMetadata?.subject &&
                     groupMetadata.subject.trim() !== '' &&
-                    groupMetadata.subject !== existingContact?.name) {
-                    await database.saveContact(jid, groupMetadata.subject);
+                    groupMetadata.subject !== previousGroup?.subject) {
                     nameUpdated = true;
                     log.debug(`Updated group name: ${jid} -> ${groupMetadata.subject}`);
                 }
@@ -2269,18 +5217,7 @@ async function refreshChatList() {
         log.info('Refreshing chat list');
 
         const dbChats = await database.getChats();
-        const chats = dbChats.map(chat => ({
-            jid: chat.jid,
-            name: chat.contact_name || chat.name || chat.jid,
-            lastMessage: formatLastMessageContent(chat.last_message_content, chat.last_message_type || 'text'),
-            timestamp: chat.last_message_timestamp,
-            lastMessageType: chat.last_message_type || 'text',
-            lastMessageFrom: chat.last_message_from,
-            unreadCount: chat.unread_count || 0,
-            avatarBase64: chat.contact_avatar_base64, // Contact avatar
-            chatAvatarBase64: chat.avatar_base64, // Chat-specific avatar (for groups)
-            phoneNumber: chat.contact_phone_number
-        }));
+        const chats = dbChats.map(formatChatForFrontend);
 
         initialChatsPayload = { chats };
         sendToFrontend('chats_updated', initialChatsPayload);
@@ -0,0 +1,109 @@
+// client-registry.js
+// Registry of connected frontend clients for the Karere backend
+
+const { log } = require('./logger.js');
+
+class ClientRegistry {
+    constructor() {
+        this.clients = new Map();
+        this.nextClientId = 1;
+    }
+
+    // Track a newly connected WebSocket and return its client record
+    add(ws, meta = {}) {
+        const client = {
+            id: `client_${this.nextClientId++}`,
+            ws,
+            connectedAt: Date.now(),
+            remoteAddress: meta.remoteAddress || null,
+            authenticated: !!meta.authenticated,
+            info: null,
+            pendingChatsRequest: null
+        };
+
+        this.clients.set(client.id, client);
+        log.websocket('Client registered', { clientId: client.id, clients: this.clients.size });
+
+        return client;
+    }
+
+    remove(client) {
+        if (client && this.clients.delete(client.id)) {
+            log.websocket('Client unregistered', { clientId: client.id, clients: this.clients.size });
+        }
+    }
+
+    get(clientId) {
+        return this.clients.get(clientId);
+    }
+
+    all() {
+        return Array.from(this.clients.values());
+    }
+
+    count() {
+        return this.clients.size;
+    }
+
+    isOpen(client) {
+        return !!client && !!client.ws && client.ws.readyState === client.ws.OPEN;
+    }
+
+    // Send a single serialized message to one client
+    send(client, message) {
+        if (!this.isOpen(client)) {
+            return false;
+        }
+
+        try {
+            client.ws.send(message);
+            return true;
+        } catch (error) {
+            log.error('Error sending message to client', error, { clientId: client.id });
+            return false;
+        }
+    }
+
+    // Send a serialized message to every authenticated client, returns the delivery count
+    broadcast(message) {
+        let delivered = 0;
+
+        for (const client of this.clients.values()) {
+            if (client.authenticated && this.send(client, message)) {
+                delivered++;
+            }
+        }
+
+        return delivered;
+    }
+
+    // Close every client connection, used during shutdown
+    closeAll(code = 1001, reason = 'Server shutting down') {
+        for (const client of this.clients.values()) {
+            try {
+                client.ws.close(code, reason);
+            } catch (error) {
+                log.debug('Failed to close client connection', { clientId: client.id, error: error.message });
+            }
+        }
+        this.clients.clear();
+    }
+
+    getStatus() {
+        return {
+            connected: this.clients.size,
+            clients: this.all().map(client => ({
+                id: client.id,
+                connectedAt: client.connectedAt,
+                remoteAddress: client.remoteAddress,
+                authenticated: client.authenticated,
+                info: client.info
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+const clientRegistry = new ClientRegistry();
+
+module.exports = clientRegistry;
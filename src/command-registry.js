@@ -0,0 +1,107 @@
+// command-registry.js
+// Registry of frontend commands with declared inputs and connection requirements
+
+const { log } = require('./logger.js');
+const { validate } = require('./schema.js');
+const { ErrorCodes, CommandError } = require('./errors.js');
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.requirements = new Map();
+    }
+
+    // Register a command: { name, description, schema, requires, handler }
+    register(definition) {
+        const { name, handler } = definition;
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('Command name is required');
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Command ${name} must have a handler function`);
+        }
+        if (this.commands.has(name)) {
+            throw new Error(`Command already registered: ${name}`);
+        }
+
+        this.commands.set(name, {
+            name,
+            description: definition.description || '',
+            schema: definition.schema || {},
+            requires: definition.requires || [],
+            handler
+        });
+
+        log.debug(`Command registered: ${name}`);
+    }
+
+    unregister(name) {
+        if (this.commands.delete(name)) {
+            log.debug(`Command unregistered: ${name}`);
+        }
+    }
+
+    has(name) {
+        return this.commands.has(name);
+    }
+
+    get(name) {
+        return this.commands.get(name);
+    }
+
+    // Declare a named precondition commands can list in `requires`
+    defineRequirement(name, check, message, code = ErrorCodes.FAILED_PRECONDITION) {
+        this.requirements.set(name, { check, message, code });
+    }
+
+    // Describe the available commands for introspection
+    list() {
+        return Array.from(this.commands.values()).map(command => ({
+            name: command.name,
+            description: command.description,
+            schema: command.schema,
+            requires: command.requires
+        }));
+    }
+
+    // Resolve, validate and run a command. Throws a CommandError when the
+    // command is unknown, its payload is invalid or a requirement is not met.
+    async dispatch(ctx, name, data) {
+        const command = this.commands.get(name);
+        if (!command) {
+            throw new CommandError(ErrorCodes.UNKNOWN_COMMAND, `Unknown command: ${name}`);
+        }
+
+        const payload = data ?? {};
+        if (typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Invalid payload for command: ${name}`, {
+                details: 'Command data must be an object'
+            });
+        }
+
+        const { value, problems } = validate(command.schema, payload);
+        if (problems.length > 0) {
+            throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Invalid payload for command: ${name}`, {
+                details: problems.map(({ field, problem }) => `${field} ${problem}`).join('; '),
+                fields: problems
+            });
+        }
+
+        for (const requirementName of command.requires) {
+            const requirement = this.requirements.get(requirementName);
+            if (requirement && !requirement.check()) {
+                throw new CommandError(requirement.code, requirement.message, {
+                    details: `Command ${name} requires ${requirementName}`
+                });
+            }
+        }
+
+        await command.handler(ctx, value);
+    }
+}
+
+// Create singleton instance
+const commandRegistry = new CommandRegistry();
+
+module.exports = commandRegistry;
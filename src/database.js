@@ -26,6 +26,28 @@ if (!fs.existsSync(dataDir)) {
 
 const dbPath = path.join(dataDir, 'karere.db');
 
+// Delivery lifecycle of a message. Statuses only move forward, so late or
+// replayed updates never downgrade a message. 'failed' and 'received' sit
+// outside the outgoing lifecycle.
+const MESSAGE_STATUS_RANK = {
+    failed: 0,
+    received: 0,
+    pending: 1,
+    sent: 2,
+    delivered: 3,
+    read: 4,
+    played: 5
+};
+
+// SQL expression ranking a status column or parameter like MESSAGE_STATUS_RANK
+function statusRankSql(expression) {
+    const cases = Object.entries(MESSAGE_STATUS_RANK)
+        .filter(([, rank]) => rank > 0)
+        .map(([status, rank]) => `WHEN '${status}' THEN ${rank}`)
+        .join(' ');
+    return `(CASE ${expression} ${cases} ELSE 0 END)`;
+}
+
 class Database {
     constructor() {
         this.db = null;
@@ -118,6 +140,111 @@ class Database {
                 updated_at INTEGER DEFAULT (strftime('%s', 'now'))
             )`,
 
+            // Previous versions of edited messages
+            `CREATE TABLE IF NOT EXISTS message_edits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id TEXT NOT NULL,
+                previous_content TEXT,
+                edited_at INTEGER NOT NULL,
+                FOREIGN KEY (message_id) REFERENCES messages (id) ON DELETE CASCADE
+            )`,
+
+            // Outgoing messages waiting to be sent, in send order
+            `CREATE TABLE IF NOT EXISTS outbox (
+                message_id TEXT PRIMARY KEY,
+                chat_jid TEXT NOT NULL,
+                content TEXT NOT NULL,
+                state TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                FOREIGN KEY (message_id) REFERENCES messages (id) ON DELETE CASCADE
+            )`,
+
+            // Messages to send at a later time
+            `CREATE TABLE IF NOT EXISTS scheduled_messages (
+                id TEXT PRIMARY KEY,
+                chat_jid TEXT NOT NULL,
+                content TEXT NOT NULL,
+                reply_to_id TEXT,
+                send_at INTEGER NOT NULL,
+                state TEXT NOT NULL DEFAULT 'scheduled',
+                message_id TEXT,
+                fired_at INTEGER,
+                late BOOLEAN DEFAULT 0,
+                error TEXT,
+                created_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )`,
+
+            // Polls: the question, its options in order and the latest vote of each voter
+            `CREATE TABLE IF NOT EXISTS polls (
+                message_id TEXT PRIMARY KEY,
+                chat_jid TEXT NOT NULL,
+                name TEXT NOT NULL,
+                selectable_count INTEGER DEFAULT 0,
+                FOREIGN KEY (message_id) REFERENCES messages (id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS poll_options (
+                message_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                PRIMARY KEY (message_id, position),
+                FOREIGN KEY (message_id) REFERENCES polls (message_id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS poll_votes (
+                message_id TEXT NOT NULL,
+                voter_jid TEXT NOT NULL,
+                selected_options TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                PRIMARY KEY (message_id, voter_jid),
+                FOREIGN KEY (message_id) REFERENCES polls (message_id) ON DELETE CASCADE
+            )`,
+
+            // Per-participant delivery receipts, used for "read by" in groups
+            `CREATE TABLE IF NOT EXISTS message_receipts (
+                message_id TEXT NOT NULL,
+                participant_jid TEXT NOT NULL,
+                status TEXT NOT NULL,
+                timestamp INTEGER,
+                PRIMARY KEY (message_id, participant_jid),
+                FOREIGN KEY (message_id) REFERENCES messages (id) ON DELETE CASCADE
+            )`,
+
+            // Reactions table, one row per reactor and target message. Reactions can
+            // arrive before the message they target, so there is no foreign key.
+            `CREATE TABLE IF NOT EXISTS reactions (
+                message_id TEXT NOT NULL,
+                chat_jid TEXT NOT NULL,
+                reactor_jid TEXT NOT NULL,
+                emoji TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                PRIMARY KEY (message_id, reactor_jid)
+            )`,
+
+            // Groups we are part of, kept current from WhatsApp's group events
+            `CREATE TABLE IF NOT EXISTS groups (
+                jid TEXT PRIMARY KEY,
+                subject TEXT,
+                description TEXT,
+                owner_jid TEXT,
+                creation_time INTEGER,
+                announcement BOOLEAN DEFAULT 0,
+                locked BOOLEAN DEFAULT 0,
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )`,
+
+            // Members of each group; role is 'member', 'admin' or 'superadmin'
+            `CREATE TABLE IF NOT EXISTS group_participants (
+                group_jid TEXT NOT NULL,
+                participant_jid TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'member',
+                PRIMARY KEY (group_jid, participant_jid),
+                FOREIGN KEY (group_jid) REFERENCES groups (jid) ON DELETE CASCADE
+            )`,
+
             // Settings table
             `CREATE TABLE IF NOT EXISTS settings (
                 key TEXT PRIMARY KEY,
@@ -136,7 +263,11 @@ class Database {
             'CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp)',
             'CREATE INDEX IF NOT EXISTS idx_messages_from_me ON messages (from_me)',
             'CREATE INDEX IF NOT EXISTS idx_chats_updated_at ON chats (updated_at)',
-            'CREATE INDEX IF NOT EXISTS idx_media_message_id ON media (message_id)'
+            'CREATE INDEX IF NOT EXISTS idx_media_message_id ON media (message_id)',
+            'CREATE INDEX IF NOT EXISTS idx_reactions_chat_jid ON reactions (chat_jid)',
+            'CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits (message_id)',
+            'CREATE INDEX IF NOT EXISTS idx_outbox_state ON outbox (state, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_scheduled_messages_state ON scheduled_messages (state, send_at)'
         ];
 
         for (const index of indexes) {
@@ -161,6 +292,15 @@ class Database {
                 log.info('Migration completed: avatar_base64 column added to contacts');
             }
 
+            // Last seen time reported through presence updates
+            const contactsHasLastSeen = contactsTableInfo.some(column => column.name === 'last_seen');
+
+            if (!contactsHasLastSeen) {
+                log.info('Adding last_seen column to contacts table');
+                await this.run('ALTER TABLE contacts ADD COLUMN last_seen INTEGER');
+                log.info('Migration completed: last_seen column added to contacts');
+            }
+
             // Check if avatar_base64 column exists in chats table
             const chatsTableInfo = await this.all("PRAGMA table_info(chats)");
             const chatsHasAvatarBase64 = chatsTableInfo.some(column => column.name === 'avatar_base64');
@@ -217,6 +357,56 @@ class Database {
                 await this.run('ALTER TABLE messages ADD COLUMN collection_session TEXT');
                 log.info('Migration completed: collection_session column added to messages');
             }
+
+            // Edit and delete tracking columns
+            const messagesHasEditedAt = messagesTableInfo.some(column => column.name === 'edited_at');
+            const messagesHasIsDeleted = messagesTableInfo.some(column => column.name === 'is_deleted');
+            const messagesHasDeletedAt = messagesTableInfo.some(column => column.name === 'deleted_at');
+
+            if (!messagesHasEditedAt) {
+                log.info('Adding edited_at column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN edited_at INTEGER');
+                log.info('Migration completed: edited_at column added to messages');
+            }
+
+            if (!messagesHasIsDeleted) {
+                log.info('Adding is_deleted column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN is_deleted BOOLEAN DEFAULT 0');
+                log.info('Migration completed: is_deleted column added to messages');
+            }
+
+            if (!messagesHasDeletedAt) {
+                log.info('Adding deleted_at column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN deleted_at INTEGER');
+                log.info('Migration completed: deleted_at column added to messages');
+            }
+
+            // Serialized WhatsApp message, needed to decrypt poll votes and answer retry requests
+            const messagesHasRawMessage = messagesTableInfo.some(column => column.name === 'raw_message');
+
+            if (!messagesHasRawMessage) {
+                log.info('Adding raw_message column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN raw_message TEXT');
+                log.info('Migration completed: raw_message column added to messages');
+            }
+
+            // Structured content (location, contact cards) as JSON
+            const messagesHasPayload = messagesTableInfo.some(column => column.name === 'payload');
+
+            if (!messagesHasPayload) {
+                log.info('Adding payload column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN payload TEXT');
+                log.info('Migration completed: payload column added to messages');
+            }
+
+            // Who sent an incoming message; differs from chat_jid in group chats
+            const messagesHasSenderJid = messagesTableInfo.some(column => column.name === 'sender_jid');
+
+            if (!messagesHasSenderJid) {
+                log.info('Adding sender_jid column to messages table');
+                await this.run('ALTER TABLE messages ADD COLUMN sender_jid TEXT');
+                log.info('Migration completed: sender_jid column added to messages');
+            }
         } catch (error) {
             log.warn('Migration failed', { error: error.message });
             // Don't throw - migrations should be non-fatal
@@ -261,19 +451,32 @@ class Database {
     }
 
     // Chat operations
-    async saveChat(jid, name = null, lastMessageId = null, timestamp = null, avatarBase64 = null, lastMessageType = 'text', lastMessageFrom = null) {
+    // Null arguments leave the stored value untouched. The last message type and
+    // sender are only updated together with the last message id.
+    async saveChat(jid, name = null, lastMessageId = null, timestamp = null, avatarBase64 = null, lastMessageType = 'text', lastMessageFrom = null, unreadCount = null) {
         const timer = performance.start('save_chat');
 
         try {
+            // Upsert rather than INSERT OR REPLACE, which would delete the chat row
+            // first and cascade to all of its messages
             const sql = `
-                INSERT OR REPLACE INTO chats (jid, name, avatar_base64, last_message_id, last_message_timestamp, last_message_type, last_message_from, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+                INSERT INTO chats (jid, name, avatar_base64, last_message_id, last_message_timestamp, last_message_type, last_message_from, unread_count, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, 0), strftime('%s', 'now'))
+                ON CONFLICT(jid) DO UPDATE SET
+                    name = COALESCE(excluded.name, chats.name),
+                    avatar_base64 = COALESCE(excluded.avatar_base64, chats.avatar_base64),
+                    last_message_id = COALESCE(excluded.last_message_id, chats.last_message_id),
+                    last_message_timestamp = COALESCE(excluded.last_message_timestamp, chats.last_message_timestamp),
+                    last_message_type = CASE WHEN excluded.last_message_id IS NOT NULL THEN excluded.last_message_type ELSE chats.last_message_type END,
+                    last_message_from = CASE WHEN excluded.last_message_id IS NOT NULL THEN excluded.last_message_from ELSE chats.last_message_from END,
+                    unread_count = CASE WHEN ? IS NOT NULL THEN excluded.unread_count ELSE chats.unread_count END,
+                    updated_at = excluded.updated_at
             `;
 
-            await this.run(sql, [jid, name, avatarBase64, lastMessageId, timestamp, lastMessageType, lastMessageFrom]);
+            await this.run(sql, [jid, name, avatarBase64, lastMessageId, timestamp, lastMessageType, lastMessageFrom, unreadCount, unreadCount]);
             timer.end();
 
-            log.debug('Chat saved', { jid, name, hasAvatarBase64: !!avatarBase64, lastMessageType, lastMessageFrom });
+            log.debug('Chat saved', { jid, name, hasAvatarBase64: !!avatarBase64, lastMessageType, lastMessageFrom, unreadCount });
 
         } catch (error) {
             timer.end({ error: true });
@@ -281,6 +484,52 @@ class Database {
         }
     }
 
+    // Create a chat row if it does not exist yet, leaving existing chats untouched
+    async ensureChat(jid, name = null) {
+        try {
+            const result = await this.run('INSERT OR IGNORE INTO chats (jid, name) VALUES (?, ?)', [jid, name]);
+            if (result.changes > 0) {
+                log.debug('Chat created', { jid });
+            }
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'ensureChat');
+        }
+    }
+
+    async incrementUnreadCount(jid) {
+        try {
+            await this.run('UPDATE chats SET unread_count = COALESCE(unread_count, 0) + 1 WHERE jid = ?', [jid]);
+        } catch (error) {
+            throw errorHandler.database(error, 'incrementUnreadCount');
+        }
+    }
+
+    async setUnreadCount(jid, count) {
+        try {
+            const result = await this.run('UPDATE chats SET unread_count = ? WHERE jid = ?', [count, jid]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'setUnreadCount');
+        }
+    }
+
+    // The newest incoming messages of a chat that have not been read yet
+    async getUnreadMessages(jid, limit) {
+        try {
+            const sql = `
+                SELECT * FROM messages
+                WHERE chat_jid = ? AND from_me = 0 AND status = 'received' AND COALESCE(is_deleted, 0) = 0
+                    AND message_type != 'system'
+                ORDER BY timestamp DESC
+                LIMIT ?
+            `;
+            return await this.all(sql, [jid, limit]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getUnreadMessages');
+        }
+    }
+
     async getChats(limit = 50) {
         const timer = performance.start('get_chats');
 
@@ -290,12 +539,13 @@ class Database {
                        m.content as last_message_content,
                        m.message_type as last_message_type_from_message,
                        m.from_me as last_message_from_me,
-                       cont.name as contact_name,
+                       COALESCE(g.subject, cont.name) as contact_name,
                        cont.avatar_base64 as contact_avatar_base64,
                        cont.phone_number as contact_phone_number
                 FROM chats c
                 LEFT JOIN messages m ON c.last_message_id = m.id
                 LEFT JOIN contacts cont ON c.jid = cont.jid
+                LEFT JOIN groups g ON c.jid = g.jid
                 WHERE c.is_archived = FALSE
                 ORDER BY c.last_message_timestamp DESC
                 LIMIT ?
@@ -321,12 +571,13 @@ class Database {
                        m.content as last_message_content,
                        m.message_type as last_message_type_from_message,
                        m.from_me as last_message_from_me,
-                       cont.name as contact_name,
+                       COALESCE(g.subject, cont.name) as contact_name,
                        cont.avatar_base64 as contact_avatar_base64,
                        cont.phone_number as contact_phone_number
                 FROM chats c
                 LEFT JOIN messages m ON c.last_message_id = m.id
                 LEFT JOIN contacts cont ON c.jid = cont.jid
+                LEFT JOIN groups g ON c.jid = g.jid
                 WHERE c.jid = ?
             `;
 
@@ -459,44 +710,77 @@ class Database {
     }
 
     // Message operations
-    async saveMessage(id, chatJid, fromMe, content, timestamp, messageType = 'text', status = 'sent', senderName = null, collectionSession = null) {
+    // options.replyToId links the message to the message it quotes, when that message is stored;
+    // options.rawMessage is the serialized WhatsApp message; options.payload holds
+    // structured content such as a location or contact cards, and for replies a
+    // snapshot of the quoted message
+    async saveMessage(id, chatJid, fromMe, content, timestamp, messageType = 'text', status = 'sent', senderName = null, collectionSession = null, options = {}) {
         const timer = performance.start('save_message');
 
         try {
+            // Upsert rather than INSERT OR REPLACE: a REPLACE deletes the old row first,
+            // which would cascade to its media and null out replies that quote it.
+            // Edited and deleted messages keep their current content when re-saved from history.
+            // The status never moves backwards.
             const sql = `
-                INSERT OR REPLACE INTO messages (id, chat_jid, from_me, message_type, content, timestamp, status, collection_session)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO messages (id, chat_jid, from_me, message_type, content, timestamp, status, collection_session, reply_to_id, raw_message, payload, sender_jid)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM messages WHERE id = ?), ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    chat_jid = excluded.chat_jid,
+                    from_me = excluded.from_me,
+                    message_type = excluded.message_type,
+                    content = CASE
+                        WHEN messages.is_deleted = 1 OR messages.edited_at IS NOT NULL THEN messages.content
+                        ELSE excluded.content
+                    END,
+                    timestamp = excluded.timestamp,
+                    status = CASE
+                        WHEN ${statusRankSql('excluded.status')} > ${statusRankSql('messages.status')} THEN excluded.status
+                        ELSE messages.status
+                    END,
+                    collection_session = COALESCE(excluded.collection_session, messages.collection_session),
+                    reply_to_id = COALESCE(excluded.reply_to_id, messages.reply_to_id),
+                    raw_message = COALESCE(excluded.raw_message, messages.raw_message),
+                    payload = COALESCE(excluded.payload, messages.payload),
+                    sender_jid = COALESCE(excluded.sender_jid, messages.sender_jid)
             `;
 
-            await this.run(sql, [id, chatJid, fromMe, messageType, content, timestamp, status, collectionSession]);
+            // Incoming messages are attributed to the chat unless a sender is given (group chats)
+            const senderJid = fromMe ? null : (options.senderJid || chatJid);
+            const isGroupMessage = senderJid !== null && senderJid !== chatJid;
 
-            // If this is an incoming message and we have sender name, save/update contact
+            const payload = options.payload ? JSON.stringify(options.payload) : null;
+            await this.run(sql, [id, chatJid, fromMe, messageType, content, timestamp, status, collectionSession, options.replyToId || null, options.rawMessage || null, payload, senderJid]);
+
+            // If this is an incoming message and we have sender name, save/update the sender's contact.
+            // In a group the chat's own name stays the group subject.
             if (!fromMe && senderName) {
-                await this.saveContact(chatJid, senderName);
+                await this.saveContact(senderJid, senderName);
             }
 
             // Update chat's last message and name if provided
-            // For last_message_from: if fromMe is true, use 'me', otherwise use the chatJid (sender's JID)
-            const lastMessageFrom = fromMe ? 'me' : chatJid;
+            // For last_message_from: if fromMe is true, use 'me', otherwise the sender's JID
+            // Older messages saved later (history, catch-up) leave the last message alone
+            const lastMessageFrom = fromMe ? 'me' : senderJid;
 
-            const chatUpdateSql = senderName && !fromMe ? `
+            const chatUpdateSql = senderName && !fromMe && !isGroupMessage ? `
                 UPDATE chats
                 SET last_message_id = ?, last_message_timestamp = ?, last_message_type = ?, last_message_from = ?, name = COALESCE(?, name), updated_at = strftime('%s', 'now')
-                WHERE jid = ?
+                WHERE jid = ? AND (last_message_id IS NULL OR last_message_timestamp IS NULL OR last_message_timestamp <= ?)
             ` : `
                 UPDATE chats
                 SET last_message_id = ?, last_message_timestamp = ?, last_message_type = ?, last_message_from = ?, updated_at = strftime('%s', 'now')
-                WHERE jid = ?
+                WHERE jid = ? AND (last_message_id IS NULL OR last_message_timestamp IS NULL OR last_message_timestamp <= ?)
             `;
 
-            const chatUpdateParams = senderName && !fromMe ?
-                [id, timestamp, messageType, lastMessageFrom, senderName, chatJid] :
-                [id, timestamp, messageType, lastMessageFrom, chatJid];
+            const chatUpdateParams = senderName && !fromMe && !isGroupMessage ?
+                [id, timestamp, messageType, lastMessageFrom, senderName, chatJid, timestamp] :
+                [id, timestamp, messageType, lastMessageFrom, chatJid, timestamp];
 
             await this.run(chatUpdateSql, chatUpdateParams);
 
             timer.end();
-            log.debug('Message saved', { id, chatJid, fromMe, senderName });
+            log.debug('Message saved', { id, chatJid, fromMe, senderJid, senderName, replyToId: options.replyToId });
 
         } catch (error) {
             timer.end({ error: true });
@@ -513,7 +797,7 @@ class Database {
                        cont.name as sender_name,
                        cont.avatar_base64 as sender_avatar_base64
                 FROM messages m
-                LEFT JOIN contacts cont ON m.chat_jid = cont.jid
+                LEFT JOIN contacts cont ON COALESCE(m.sender_jid, m.chat_jid) = cont.jid
                 WHERE m.chat_jid = ?
                 ORDER BY m.timestamp DESC
                 LIMIT ? OFFSET ?
@@ -538,11 +822,20 @@ class Database {
                 SELECT m.*,
                        CASE
                            WHEN m.from_me = 1 THEN 'You'
-                           ELSE COALESCE(cont.name, m.chat_jid)
+                           ELSE COALESCE(cont.name, m.sender_jid, m.chat_jid)
                        END as display_sender_name,
-                       cont.avatar_base64 as sender_avatar_base64
+                       cont.avatar_base64 as sender_avatar_base64,
+                       q.from_me as quoted_from_me,
+                       q.chat_jid as quoted_chat_jid,
+                       q.sender_jid as quoted_sender_jid,
+                       q.message_type as quoted_message_type,
+                       q.content as quoted_content,
+                       q.is_deleted as quoted_is_deleted,
+                       qcont.name as quoted_sender_name
                 FROM messages m
-                LEFT JOIN contacts cont ON m.chat_jid = cont.jid
+                LEFT JOIN contacts cont ON COALESCE(m.sender_jid, m.chat_jid) = cont.jid
+                LEFT JOIN messages q ON m.reply_to_id = q.id
+                LEFT JOIN contacts qcont ON COALESCE(q.sender_jid, q.chat_jid) = qcont.jid
                 WHERE m.chat_jid = ?
                 ORDER BY m.timestamp DESC
                 LIMIT ? OFFSET ?
@@ -567,11 +860,11 @@ class Database {
                 SELECT m.*,
                        CASE
                            WHEN m.from_me = 1 THEN 'You'
-                           ELSE COALESCE(cont.name, m.chat_jid)
+                           ELSE COALESCE(cont.name, m.sender_jid, m.chat_jid)
                        END as display_sender_name,
                        cont.avatar_base64 as sender_avatar_base64
                 FROM messages m
-                LEFT JOIN contacts cont ON m.chat_jid = cont.jid
+                LEFT JOIN contacts cont ON COALESCE(m.sender_jid, m.chat_jid) = cont.jid
                 WHERE m.chat_jid = ? AND m.timestamp > ?
                 ORDER BY m.timestamp ASC
                 LIMIT ?
@@ -646,15 +939,170 @@ class Database {
         }
     }
 
+    // Compact view of a message used to render reply bubbles
+    async getMessagePreview(messageId) {
+        try {
+            const sql = `
+                SELECT m.id,
+                       m.from_me as quoted_from_me,
+                       m.chat_jid as quoted_chat_jid,
+                       m.sender_jid as quoted_sender_jid,
+                       m.message_type as quoted_message_type,
+                       m.content as quoted_content,
+                       m.is_deleted as quoted_is_deleted,
+                       cont.name as quoted_sender_name
+                FROM messages m
+                LEFT JOIN contacts cont ON COALESCE(m.sender_jid, m.chat_jid) = cont.jid
+                WHERE m.id = ?
+            `;
+
+            return await this.get(sql, [messageId]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getMessagePreview');
+        }
+    }
+
+    // Move a message forward in its delivery lifecycle. A message can only fail
+    // while it is still pending. Returns true when the status changed.
     async updateMessageStatus(messageId, status) {
         try {
-            await this.run('UPDATE messages SET status = ? WHERE id = ?', [status, messageId]);
-            log.debug('Message status updated', { messageId, status });
+            const condition = status === 'failed'
+                ? "status = 'pending'"
+                : `${statusRankSql('status')} < ${statusRankSql('?')}`;
+            const params = status === 'failed' ? [status, messageId] : [status, messageId, status];
+
+            const result = await this.run(`UPDATE messages SET status = ? WHERE id = ? AND ${condition}`, params);
+            if (result.changes > 0) {
+                log.debug('Message status updated', { messageId, status });
+            }
+            return result.changes > 0;
         } catch (error) {
             throw errorHandler.database(error, 'updateMessageStatus');
         }
     }
 
+    // Record a participant's receipt for a message, never downgrading it.
+    // Returns true when the stored receipt changed.
+    async saveMessageReceipt(messageId, participantJid, status, timestamp = null) {
+        try {
+            const result = await this.run(`
+                INSERT INTO message_receipts (message_id, participant_jid, status, timestamp)
+                SELECT ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM messages WHERE id = ?)
+                ON CONFLICT(message_id, participant_jid) DO UPDATE SET
+                    status = excluded.status,
+                    timestamp = excluded.timestamp
+                WHERE ${statusRankSql('excluded.status')} > ${statusRankSql('message_receipts.status')}
+            `, [messageId, participantJid, status, timestamp, messageId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'saveMessageReceipt');
+        }
+    }
+
+    async getMessageReceipts(messageId) {
+        try {
+            return await this.all(`
+                SELECT r.participant_jid, r.status, r.timestamp, c.name as participant_name
+                FROM message_receipts r
+                LEFT JOIN contacts c ON r.participant_jid = c.jid
+                WHERE r.message_id = ?
+                ORDER BY r.timestamp ASC
+            `, [messageId]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getMessageReceipts');
+        }
+    }
+
+    async saveRawMessage(messageId, rawMessage) {
+        try {
+            await this.run('UPDATE messages SET raw_message = ? WHERE id = ?', [rawMessage, messageId]);
+        } catch (error) {
+            throw errorHandler.database(error, 'saveRawMessage');
+        }
+    }
+
+    async getRawMessage(messageId) {
+        try {
+            const row = await this.get('SELECT raw_message FROM messages WHERE id = ?', [messageId]);
+            return row?.raw_message || null;
+        } catch (error) {
+            throw errorHandler.database(error, 'getRawMessage');
+        }
+    }
+
+    // Replace the content of a message, keeping the previous version in message_edits.
+    // Returns false when the message is unknown, deleted or unchanged.
+    async editMessage(messageId, newContent, editedAt) {
+        const timer = performance.start('edit_message');
+
+        try {
+            const message = await this.get('SELECT content, is_deleted FROM messages WHERE id = ?', [messageId]);
+            if (!message || message.is_deleted || message.content === newContent) {
+                timer.end({ changed: false });
+                return false;
+            }
+
+            await this.run(
+                'INSERT INTO message_edits (message_id, previous_content, edited_at) VALUES (?, ?, ?)',
+                [messageId, message.content, editedAt]
+            );
+            await this.run(
+                'UPDATE messages SET content = ?, edited_at = ? WHERE id = ?',
+                [newContent, editedAt, messageId]
+            );
+            timer.end({ changed: true });
+
+            log.debug('Message edited', { messageId, editedAt });
+            return true;
+
+        } catch (error) {
+            timer.end({ error: true });
+            throw errorHandler.database(error, 'editMessage');
+        }
+    }
+
+    // Previous versions of a message, oldest first
+    async getMessageEdits(messageId) {
+        try {
+            return await this.all(
+                'SELECT previous_content, edited_at FROM message_edits WHERE message_id = ? ORDER BY edited_at ASC, id ASC',
+                [messageId]
+            );
+        } catch (error) {
+            throw errorHandler.database(error, 'getMessageEdits');
+        }
+    }
+
+    // Turn a message deleted for everyone into a tombstone: the row stays so the
+    // conversation keeps its place, but the content and edit history are dropped.
+    // Returns false when the message is unknown or already deleted.
+    async markMessageDeleted(messageId, deletedAt) {
+        try {
+            const result = await this.run(
+                'UPDATE messages SET is_deleted = 1, deleted_at = ?, content = NULL WHERE id = ? AND COALESCE(is_deleted, 0) = 0',
+                [deletedAt, messageId]
+            );
+            if (result.changes > 0) {
+                await this.run('DELETE FROM message_edits WHERE message_id = ?', [messageId]);
+                log.debug('Message marked as deleted', { messageId, deletedAt });
+            }
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'markMessageDeleted');
+        }
+    }
+
+    // Remove a message deleted only on this device
+    async deleteMessage(messageId) {
+        try {
+            const result = await this.run('DELETE FROM messages WHERE id = ?', [messageId]);
+            log.debug('Message deleted', { messageId, deleted: result.changes > 0 });
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'deleteMessage');
+        }
+    }
+
     // Media operations
     async saveMedia(id, messageId, filePath = null, fileName = null, fileSize = null, mimeType = null) {
         const timer = performance.start('save_media');
@@ -713,14 +1161,479 @@ class Database {
         }
     }
 
+    // Outbox operations
+    // content is the serialized message to hand to WhatsApp
+    async enqueueOutgoingMessage(messageId, chatJid, content, createdAt) {
+        try {
+            await this.run(`
+                INSERT INTO outbox (message_id, chat_jid, content, state, attempts, next_attempt_at, created_at)
+                VALUES (?, ?, ?, 'pending', 0, ?, ?)
+            `, [messageId, chatJid, content, createdAt, createdAt]);
+            log.debug('Outgoing message queued', { messageId, chatJid });
+        } catch (error) {
+            throw errorHandler.database(error, 'enqueueOutgoingMessage');
+        }
+    }
+
+    async getOutgoingMessages(state) {
+        try {
+            return await this.all('SELECT * FROM outbox WHERE state = ? ORDER BY created_at ASC, rowid ASC', [state]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getOutgoingMessages');
+        }
+    }
+
+    async getOutgoingMessage(messageId) {
+        try {
+            return await this.get('SELECT * FROM outbox WHERE message_id = ?', [messageId]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getOutgoingMessage');
+        }
+    }
+
+    async updateOutgoingMessage(messageId, state, attempts, nextAttemptAt, lastError = null) {
+        try {
+            await this.run(
+                'UPDATE outbox SET state = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE message_id = ?',
+                [state, attempts, nextAttemptAt, lastError, messageId]
+            );
+        } catch (error) {
+            throw errorHandler.database(error, 'updateOutgoingMessage');
+        }
+    }
+
+    async removeOutgoingMessage(messageId) {
+        try {
+            await this.run('DELETE FROM outbox WHERE message_id = ?', [messageId]);
+        } catch (error) {
+            throw errorHandler.database(error, 'removeOutgoingMessage');
+        }
+    }
+
+    // Earliest retry of a pending message after the given time, or null when there is none
+    async getNextOutgoingAttempt(after) {
+        try {
+            const row = await this.get(
+                "SELECT MIN(next_attempt_at) as next_attempt_at FROM outbox WHERE state = 'pending' AND next_attempt_at > ?",
+                [after]
+            );
+            return row?.next_attempt_at ?? null;
+        } catch (error) {
+            throw errorHandler.database(error, 'getNextOutgoingAttempt');
+        }
+    }
+
+    async countOutgoingMessages(state) {
+        try {
+            const row = await this.get('SELECT COUNT(*) as count FROM outbox WHERE state = ?', [state]);
+            return row.count;
+        } catch (error) {
+            throw errorHandler.database(error, 'countOutgoingMessages');
+        }
+    }
+
+    // Scheduled message operations
+    async saveScheduledMessage(id, chatJid, content, sendAt, replyToId = null) {
+        try {
+            await this.run(
+                'INSERT INTO scheduled_messages (id, chat_jid, content, reply_to_id, send_at) VALUES (?, ?, ?, ?, ?)',
+                [id, chatJid, content, replyToId, sendAt]
+            );
+            log.debug('Message scheduled', { id, chatJid, sendAt });
+        } catch (error) {
+            throw errorHandler.database(error, 'saveScheduledMessage');
+        }
+    }
+
+    async getScheduledMessage(id) {
+        try {
+            return await this.get('SELECT * FROM scheduled_messages WHERE id = ?', [id]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getScheduledMessage');
+        }
+    }
+
+    // Scheduled messages, optionally filtered by state and chat, soonest first
+    async getScheduledMessages(state = null, chatJid = null) {
+        try {
+            return await this.all(`
+                SELECT * FROM scheduled_messages
+                WHERE (? IS NULL OR state = ?) AND (? IS NULL OR chat_jid = ?)
+                ORDER BY send_at ASC
+            `, [state, state, chatJid, chatJid]);
+        } catch (error) {
+            throw errorHandler.database(error, 'getScheduledMessages');
+        }
+    }
+
+    async getDueScheduledMessages(now) {
+        try {
+            return await this.all(
+                "SELECT * FROM scheduled_messages WHERE state = 'scheduled' AND send_at <= ? ORDER BY send_at ASC",
+                [now]
+            );
+        } catch (error) {
+            throw errorHandler.database(error, 'getDueScheduledMessages');
+        }
+    }
+
+    // Move a scheduled message out of the 'scheduled' state. Only one caller can
+    // claim it, so a message is never fired or cancelled twice.
+    async claimScheduledMessage(id, state, fields = {}) {
+        try {
+            const result = await this.run(`
+                UPDATE scheduled_messages
+                SET state = ?, message_id = COALESCE(?, message_id), fired_at = COALESCE(?, fired_at), late = COALESCE(?, late)
+                WHERE id = ? AND state = 'scheduled'
+            `, [state, fields.messageId ?? null, fields.firedAt ?? null, fields.late ?? null, id]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'claimScheduledMessage');
+        }
+    }
+
+    // Record how the message a scheduled message fired as ended up. Only fired
+    // entries, and failed ones whose message was retried, are updated.
+    // Returns the updated entry, or null when nothing changed.
+    async finishScheduledMessage(messageId, state, error = null) {
+        try {
+            const result = await this.run(
+                "UPDATE scheduled_messages SET state = ?, error = ? WHERE message_id = ? AND state IN ('fired', 'failed')",
+                [state, error, messageId]
+            );
+            if (result.changes === 0) {
+                return null;
+            }
+            return await this.get('SELECT * FROM scheduled_messages WHERE message_id = ?', [messageId]);
+        } catch (dbError) {
+            throw errorHandler.database(dbError, 'finishScheduledMessage');
+        }
+    }
+
+    async updateScheduledMessageState(id, state, error = null) {
+        try {
+            await this.run('UPDATE scheduled_messages SET state = ?, error = ? WHERE id = ?', [state, error, id]);
+        } catch (dbError) {
+            throw errorHandler.database(dbError, 'updateScheduledMessageState');
+        }
+    }
+
+    // Poll operations
+    // Store a poll's question and options. Polls never change, so existing ones are kept.
+    async savePoll(messageId, chatJid, name, selectableCount, options) {
+        try {
+            const result = await this.run(
+                'INSERT OR IGNORE INTO polls (message_id, chat_jid, name, selectable_count) VALUES (?, ?, ?, ?)',
+                [messageId, chatJid, name, selectableCount]
+            );
+            if (result.changes === 0) {
+                return;
+            }
+
+            for (const [position, option] of options.entries()) {
+                await this.run(
+                    'INSERT OR IGNORE INTO poll_options (message_id, position, name) VALUES (?, ?, ?)',
+                    [messageId, position, option]
+                );
+            }
+            log.debug('Poll saved', { messageId, options: options.length });
+        } catch (error) {
+            throw errorHandler.database(error, 'savePoll');
+        }
+    }
+
+    async getPoll(messageId) {
+        try {
+            const poll = await this.get('SELECT * FROM polls WHERE message_id = ?', [messageId]);
+            if (!poll) {
+                return null;
+            }
+
+            const options = await this.all('SELECT name FROM poll_options WHERE message_id = ? ORDER BY position', [messageId]);
+            return { ...poll, options: options.map(option => option.name) };
+        } catch (error) {
+            throw errorHandler.database(error, 'getPoll');
+        }
+    }
+
+    // Record a voter's current selection. A vote replaces the voter's earlier
+    // votes; older votes arriving late are ignored. Returns true when it changed.
+    async savePollVote(messageId, voterJid, selectedOptions, timestamp) {
+        try {
+            const result = await this.run(`
+                INSERT INTO poll_votes (message_id, voter_jid, selected_options, timestamp)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(message_id, voter_jid) DO UPDATE SET
+                    selected_options = excluded.selected_options,
+                    timestamp = excluded.timestamp
+                WHERE excluded.timestamp >= poll_votes.timestamp
+                    AND excluded.selected_options != poll_votes.selected_options
+            `, [messageId, voterJid, JSON.stringify(selectedOptions), timestamp]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'savePollVote');
+        }
+    }
+
+    // Tally polls: { [messageId]: { name, selectableCount, options: [{ name, votes, voters }], myVotes, totalVoters } }
+    async getPollResults(messageIds) {
+        if (messageIds.length === 0) {
+            return {};
+        }
+
+        try {
+            const placeholders = messageIds.map(() => '?').join(', ');
+            const polls = await this.all(`SELECT * FROM polls WHERE message_id IN (${placeholders})`, messageIds);
+            const options = await this.all(
+                `SELECT * FROM poll_options WHERE message_id IN (${placeholders}) ORDER BY position`,
+                messageIds
+            );
+            const votes = await this.all(
+                `SELECT * FROM poll_votes WHERE message_id IN (${placeholders}) ORDER BY timestamp`,
+                messageIds
+            );
+
+            const results = {};
+            for (const poll of polls) {
+                results[poll.message_id] = {
+                    name: poll.name,
+                    selectableCount: poll.selectable_count,
+                    options: [],
+                    myVotes: [],
+                    totalVoters: 0
+                };
+            }
+            for (const option of options) {
+                results[option.message_id]?.options.push({ name: option.name, votes: 0, voters: [] });
+            }
+            for (const vote of votes) {
+                const result = results[vote.message_id];
+                const selected = JSON.parse(vote.selected_options);
+                if (!result || selected.length === 0) continue;
+
+                result.totalVoters++;
+                for (const name of selected) {
+                    const option = result.options.find(candidate => candidate.name === name);
+                    if (option) {
+                        option.votes++;
+                        option.voters.push(vote.voter_jid);
+                    }
+                }
+                if (vote.voter_jid === 'me') {
+                    result.myVotes = selected;
+                }
+            }
+
+            return results;
+        } catch (error) {
+            throw errorHandler.database(error, 'getPollResults');
+        }
+    }
+
+    // Group operations
+    // Store what is known about a group. Fields left undefined keep their stored
+    // value, so partial updates from WhatsApp can be saved as they arrive.
+    async saveGroup(jid, { subject, description, ownerJid, creationTime, announcement, locked } = {}) {
+        const timer = performance.start('save_group');
+
+        try {
+            const toFlag = value => (value === undefined || value === null ? null : (value ? 1 : 0));
+
+            await this.run(`
+                INSERT INTO groups (jid, subject, description, owner_jid, creation_time, announcement, locked, updated_at)
+                VALUES (?, ?, ?, ?, ?, COALESCE(?, 0), COALESCE(?, 0), strftime('%s', 'now'))
+                ON CONFLICT(jid) DO UPDATE SET
+                    subject = COALESCE(excluded.subject, groups.subject),
+                    description = CASE WHEN ? THEN excluded.description ELSE groups.description END,
+                    owner_jid = COALESCE(excluded.owner_jid, groups.owner_jid),
+                    creation_time = COALESCE(excluded.creation_time, groups.creation_time),
+                    announcement = COALESCE(?, groups.announcement),
+                    locked = COALESCE(?, groups.locked),
+                    updated_at = excluded.updated_at
+            `, [
+                jid,
+                subject ?? null,
+                description || null,
+                ownerJid ?? null,
+                creationTime ?? null,
+                toFlag(announcement),
+                toFlag(locked),
+                description !== undefined ? 1 : 0,
+                toFlag(announcement),
+                toFlag(locked)
+            ]);
+
+            timer.end();
+            log.debug('Group saved', { jid });
+        } catch (error) {
+            timer.end({ error: true });
+            throw errorHandler.database(error, 'saveGroup');
+        }
+    }
+
+    // Replace the member list of a group: [{ jid, role }]
+    async setGroupParticipants(groupJid, participants) {
+        try {
+            await this.run('DELETE FROM group_participants WHERE group_jid = ?', [groupJid]);
+
+            for (const participant of participants) {
+                await this.run(
+                    'INSERT OR REPLACE INTO group_participants (group_jid, participant_jid, role) VALUES (?, ?, ?)',
+                    [groupJid, participant.jid, participant.role || 'member']
+                );
+            }
+        } catch (error) {
+            throw errorHandler.database(error, 'setGroupParticipants');
+        }
+    }
+
+    // Apply a participant change reported by WhatsApp: add, remove, promote or demote
+    async updateGroupParticipants(groupJid, participantJids, action) {
+        try {
+            for (const participantJid of participantJids) {
+                switch (action) {
+                    case 'add':
+                        await this.run(
+                            'INSERT OR IGNORE INTO group_participants (group_jid, participant_jid, role) VALUES (?, ?, \'member\')',
+                            [groupJid, participantJid]
+                        );
+                        break;
+                    case 'remove':
+                        await this.run(
+                            'DELETE FROM group_participants WHERE group_jid = ? AND participant_jid = ?',
+                            [groupJid, participantJid]
+                        );
+                        break;
+                    case 'promote':
+                    case 'demote':
+                        await this.run(`
+                            INSERT INTO group_participants (group_jid, participant_jid, role) VALUES (?, ?, ?)
+                            ON CONFLICT(group_jid, participant_jid) DO UPDATE SET role = excluded.role
+                        `, [groupJid, participantJid, action === 'promote' ? 'admin' : 'member']);
+                        break;
+                }
+            }
+
+            await this.run('UPDATE groups SET updated_at = strftime(\'%s\', \'now\') WHERE jid = ?', [groupJid]);
+        } catch (error) {
+            throw errorHandler.database(error, 'updateGroupParticipants');
+        }
+    }
+
+    // A group with its participants, or null when it is not stored
+    async getGroup(jid) {
+        try {
+            const group = await this.get('SELECT * FROM groups WHERE jid = ?', [jid]);
+            if (!group) {
+                return null;
+            }
+
+            const participants = await this.all(`
+                SELECT p.participant_jid, p.role, cont.name, cont.avatar_base64
+                FROM group_participants p
+                LEFT JOIN contacts cont ON p.participant_jid = cont.jid
+                WHERE p.group_jid = ?
+                ORDER BY CASE p.role WHEN 'superadmin' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, cont.name
+            `, [jid]);
+
+            return { ...group, participants };
+        } catch (error) {
+            throw errorHandler.database(error, 'getGroup');
+        }
+    }
+
+    // Reaction operations
+    // Store a reaction, or remove it when emoji is empty. Older reactions never
+    // overwrite newer ones, so out-of-order delivery is harmless.
+    // Returns true when the stored state changed.
+    async saveReaction(messageId, chatJid, reactorJid, emoji, timestamp) {
+        const timer = performance.start('save_reaction');
+
+        try {
+            let result;
+            if (emoji) {
+                result = await this.run(`
+                    INSERT INTO reactions (message_id, chat_jid, reactor_jid, emoji, timestamp)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT(message_id, reactor_jid) DO UPDATE SET
+                        emoji = excluded.emoji,
+                        timestamp = excluded.timestamp
+                    WHERE excluded.timestamp >= reactions.timestamp
+                `, [messageId, chatJid, reactorJid, emoji, timestamp]);
+            } else {
+                result = await this.run(
+                    'DELETE FROM reactions WHERE message_id = ? AND reactor_jid = ? AND timestamp <= ?',
+                    [messageId, reactorJid, timestamp]
+                );
+            }
+            timer.end();
+
+            log.debug('Reaction saved', { messageId, reactorJid, emoji, changed: result.changes > 0 });
+            return result.changes > 0;
+
+        } catch (error) {
+            timer.end({ error: true });
+            throw errorHandler.database(error, 'saveReaction');
+        }
+    }
+
+    // Aggregate reactions per message: { [messageId]: { reactions: [{ emoji, count }], myReaction } }
+    async getReactionsForMessages(messageIds) {
+        if (messageIds.length === 0) {
+            return {};
+        }
+
+        try {
+            const placeholders = messageIds.map(() => '?').join(', ');
+            const rows = await this.all(`
+                SELECT message_id, reactor_jid, emoji
+                FROM reactions
+                WHERE message_id IN (${placeholders})
+                ORDER BY timestamp ASC
+            `, messageIds);
+
+            const summaries = {};
+            for (const row of rows) {
+                const summary = summaries[row.message_id] || (summaries[row.message_id] = { counts: new Map(), myReaction: null });
+                summary.counts.set(row.emoji, (summary.counts.get(row.emoji) || 0) + 1);
+                if (row.reactor_jid === 'me') {
+                    summary.myReaction = row.emoji;
+                }
+            }
+
+            const result = {};
+            for (const [messageId, summary] of Object.entries(summaries)) {
+                result[messageId] = {
+                    reactions: Array.from(summary.counts, ([emoji, count]) => ({ emoji, count })),
+                    myReaction: summary.myReaction
+                };
+            }
+            return result;
+
+        } catch (error) {
+            throw errorHandler.database(error, 'getReactionsForMessages');
+        }
+    }
+
+    async getReactionSummary(messageId) {
+        const summaries = await this.getReactionsForMessages([messageId]);
+        return summaries[messageId] || { reactions: [], myReaction: null };
+    }
+
     // Contact operations
     async saveContact(jid, name, phoneNumber = null, avatarBase64 = null) {
         const timer = performance.start('save_contact');
 
         try {
+            // Upsert so saving a name does not drop the avatar, phone number or blocked flag
             const sql = `
-                INSERT OR REPLACE INTO contacts (jid, name, phone_number, avatar_base64, updated_at)
+                INSERT INTO contacts (jid, name, phone_number, avatar_base64, updated_at)
                 VALUES (?, ?, ?, ?, strftime('%s', 'now'))
+                ON CONFLICT(jid) DO UPDATE SET
+                    name = COALESCE(excluded.name, contacts.name),
+                    phone_number = COALESCE(excluded.phone_number, contacts.phone_number),
+                    avatar_base64 = COALESCE(excluded.avatar_base64, contacts.avatar_base64),
+                    updated_at = excluded.updated_at
             `;
 
             await this.run(sql, [jid, name, phoneNumber, avatarBase64]);
@@ -734,6 +1647,20 @@ class Database {
         }
     }
 
+    // Record when a contact was last online. Returns true when it moved forward.
+    async updateContactLastSeen(jid, lastSeen) {
+        try {
+            const result = await this.run(`
+                INSERT INTO contacts (jid, last_seen) VALUES (?, ?)
+                ON CONFLICT(jid) DO UPDATE SET last_seen = excluded.last_seen
+                WHERE excluded.last_seen > COALESCE(contacts.last_seen, 0)
+            `, [jid, lastSeen]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'updateContactLastSeen');
+        }
+    }
+
     async getContact(jid) {
         const timer = performance.start('get_contact');
 
@@ -769,6 +1696,62 @@ class Database {
         }
     }
 
+    // Block state operations
+    // Mark a contact as blocked or not. Returns true when the flag changed.
+    async setContactBlocked(jid, blocked) {
+        try {
+            const result = await this.run(`
+                INSERT INTO contacts (jid, is_blocked) VALUES (?, ?)
+                ON CONFLICT(jid) DO UPDATE SET is_blocked = excluded.is_blocked
+                WHERE contacts.is_blocked IS NOT excluded.is_blocked
+            `, [jid, blocked ? 1 : 0]);
+            return result.changes > 0;
+        } catch (error) {
+            throw errorHandler.database(error, 'setContactBlocked');
+        }
+    }
+
+    // Make the stored flags match WhatsApp's complete blocklist.
+    // Returns the JIDs that became blocked and unblocked.
+    async setBlocklist(jids) {
+        try {
+            const changes = { blocked: [], unblocked: [] };
+            const blockedJids = new Set(jids);
+
+            for (const contact of await this.getBlockedContacts()) {
+                if (!blockedJids.has(contact.jid) && await this.setContactBlocked(contact.jid, false)) {
+                    changes.unblocked.push(contact.jid);
+                }
+            }
+            for (const jid of blockedJids) {
+                if (await this.setContactBlocked(jid, true)) {
+                    changes.blocked.push(jid);
+                }
+            }
+
+            return changes;
+        } catch (error) {
+            throw errorHandler.database(error, 'setBlocklist');
+        }
+    }
+
+    async getBlockedContacts() {
+        try {
+            return await this.all('SELECT * FROM contacts WHERE is_blocked = 1 ORDER BY name ASC, jid ASC');
+        } catch (error) {
+            throw errorHandler.database(error, 'getBlockedContacts');
+        }
+    }
+
+    async isContactBlocked(jid) {
+        try {
+            const row = await this.get('SELECT is_blocked FROM contacts WHERE jid = ?', [jid]);
+            return row?.is_blocked === 1;
+        } catch (error) {
+            throw errorHandler.database(error, 'isContactBlocked');
+        }
+    }
+
     async updateContactAvatar(jid, avatarBase64) {
         const timer = performance.start('update_contact_avatar');
 
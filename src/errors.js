@@ -0,0 +1,80 @@
+// errors.js
+// Machine-readable error codes returned to frontend clients
+
+const ErrorCodes = {
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+    NOT_CONNECTED: 'NOT_CONNECTED',
+    NOT_FOUND: 'NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    FAILED_PRECONDITION: 'FAILED_PRECONDITION',
+    UNAVAILABLE: 'UNAVAILABLE',
+    INTERNAL: 'INTERNAL'
+};
+
+// Codes a client can reasonably retry later without changing the request
+const RETRYABLE_CODES = new Set([
+    ErrorCodes.NOT_CONNECTED,
+    ErrorCodes.RATE_LIMITED,
+    ErrorCodes.UNAVAILABLE
+]);
+
+class CommandError extends Error {
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+        this.details = options.details || null;
+        this.fields = options.fields || null;
+        this.retryable = options.retryable ?? RETRYABLE_CODES.has(code);
+    }
+}
+
+// Work out the error code for any error, including ones raised by Baileys
+function getErrorCode(error, fallback = ErrorCodes.INTERNAL) {
+    if (!error) {
+        return fallback;
+    }
+
+    if (error instanceof CommandError || (error.code && ErrorCodes[error.code])) {
+        return error.code;
+    }
+
+    const statusCode = error.output?.statusCode;
+    const message = error.message || '';
+
+    if (statusCode === 429 || message.includes('rate-overlimit')) {
+        return ErrorCodes.RATE_LIMITED;
+    }
+    if (statusCode === 428 || message.includes('Connection Closed') || message.includes('Not connected')) {
+        return ErrorCodes.NOT_CONNECTED;
+    }
+    if (statusCode === 404 || statusCode === 410 || message.includes('item-not-found')) {
+        return ErrorCodes.NOT_FOUND;
+    }
+    if (statusCode === 403 || message.includes('forbidden')) {
+        return ErrorCodes.FAILED_PRECONDITION;
+    }
+    if (statusCode === 400 || message.includes('bad-request')) {
+        return ErrorCodes.INVALID_ARGUMENT;
+    }
+    if (statusCode === 408 || message.includes('Timed Out')) {
+        return ErrorCodes.UNAVAILABLE;
+    }
+
+    return fallback;
+}
+
+function isRetryable(error, code = getErrorCode(error)) {
+    if (typeof error?.retryable === 'boolean') {
+        return error.retryable;
+    }
+    return RETRYABLE_CODES.has(code);
+}
+
+module.exports = {
+    ErrorCodes,
+    CommandError,
+    getErrorCode,
+    isRetryable
+};
@@ -0,0 +1,88 @@
+// event-outbox.js
+// Bounded buffer of broadcast events so reconnecting frontends can catch up
+
+const crypto = require('crypto');
+const { log } = require('./logger.js');
+
+const DEFAULT_CAPACITY = 1000;
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024; // 16MB
+
+class EventOutbox {
+    constructor(capacity = DEFAULT_CAPACITY, maxBytes = DEFAULT_MAX_BYTES) {
+        this.capacity = capacity;
+        // Events can carry avatars and other bulky data, so the buffer is
+        // also bounded by the serialized size of what it holds
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.events = [];
+        this.lastSeq = 0;
+        // Identifies this backend run; sequence numbers restart with every process
+        this.epoch = crypto.randomBytes(8).toString('hex');
+    }
+
+    // Record an outbound event and return it with its sequence number
+    append(type, data) {
+        const event = {
+            seq: ++this.lastSeq,
+            type,
+            data,
+            timestamp: Date.now(),
+            size: Buffer.byteLength(JSON.stringify(data ?? null))
+        };
+
+        this.events.push(event);
+        this.bytes += event.size;
+
+        // An event larger than maxBytes is evicted at once and cannot be replayed
+        while (this.events.length > this.capacity || (this.bytes > this.maxBytes && this.events.length > 0)) {
+            this.bytes -= this.events.shift().size;
+        }
+
+        return event;
+    }
+
+    oldestSeq() {
+        return this.events.length > 0 ? this.events[0].seq : this.lastSeq + 1;
+    }
+
+    // Return every event after lastSeq, or null when they can no longer be replayed
+    since(lastSeq, epoch = this.epoch) {
+        if (epoch !== this.epoch) {
+            log.debug('Outbox replay refused: epoch mismatch', { epoch, current: this.epoch });
+            return null;
+        }
+
+        if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.lastSeq) {
+            return null;
+        }
+
+        // Events between lastSeq and the oldest buffered event have been evicted
+        if (lastSeq + 1 < this.oldestSeq()) {
+            log.debug('Outbox replay refused: gap too large', { lastSeq, oldestSeq: this.oldestSeq() });
+            return null;
+        }
+
+        return this.events.filter(event => event.seq > lastSeq);
+    }
+
+    getStatus() {
+        return {
+            epoch: this.epoch,
+            lastSeq: this.lastSeq,
+            oldestSeq: this.oldestSeq(),
+            buffered: this.events.length,
+            capacity: this.capacity,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+// Create singleton instance
+const eventOutbox = new EventOutbox(
+    Number(process.env.KARERE_OUTBOX_SIZE) || DEFAULT_CAPACITY,
+    Number(process.env.KARERE_OUTBOX_BYTES) || DEFAULT_MAX_BYTES
+);
+
+module.exports = eventOutbox;
+module.exports.EventOutbox = EventOutbox;
@@ -0,0 +1,222 @@
+// http-api.js
+// Local HTTP REST API exposing frontend commands to scripts and automation tools
+
+const { log, errorHandler, performance } = require('./logger.js');
+const { ErrorCodes, CommandError } = require('./errors.js');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+
+// HTTP status returned for each error code
+const STATUS_BY_CODE = {
+    [ErrorCodes.INVALID_ARGUMENT]: 400,
+    [ErrorCodes.UNKNOWN_COMMAND]: 404,
+    [ErrorCodes.NOT_FOUND]: 404,
+    [ErrorCodes.FAILED_PRECONDITION]: 409,
+    [ErrorCodes.RATE_LIMITED]: 429,
+    [ErrorCodes.NOT_CONNECTED]: 503,
+    [ErrorCodes.UNAVAILABLE]: 503,
+    [ErrorCodes.INTERNAL]: 500
+};
+
+// Routes map an HTTP request onto a registered command
+const ROUTES = [
+    {
+        method: 'GET',
+        path: /^\/api\/health$/,
+        command: 'health_check'
+    },
+    {
+        method: 'GET',
+        path: /^\/api\/chats$/,
+        command: 'get_initial_chats',
+        // The chat list may not be loaded yet; WebSocket clients wait, HTTP callers get an empty list
+        fallback: { type: 'initial_chats', data: { chats: [] } }
+    },
+    {
+        method: 'GET',
+        path: /^\/api\/chats\/([^/]+)\/messages$/,
+        command: 'get_message_history',
+        buildData: ({ params, query }) => ({
+            jid: params[0],
+            limit: parseIntegerParam(query.get('limit')),
+            offset: parseIntegerParam(query.get('offset'))
+        })
+    },
+    {
+        method: 'POST',
+        path: /^\/api\/messages$/,
+        command: 'send_message',
+        buildData: ({ body }) => body
+    },
+    {
+        method: 'GET',
+        path: /^\/api\/contacts\/([^/]+)$/,
+        command: 'get_contact_info',
+        buildData: ({ params }) => ({ jid: params[0] })
+    }
+];
+
+function parseIntegerParam(value) {
+    if (value === null || value === '') {
+        return undefined;
+    }
+    return Number(value);
+}
+
+// Path segments may carry JIDs and message ids in percent-encoding
+function decodePathParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, `Malformed percent-encoding in path: ${value}`);
+    }
+}
+
+function sendJson(res, statusCode, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+function sendError(res, error) {
+    const errorResponse = errorHandler.command(error, 'http api');
+    sendJson(res, STATUS_BY_CODE[errorResponse.code] || 500, { ok: false, error: errorResponse });
+}
+
+// Read and parse a JSON request body. A body over MAX_BODY_SIZE is rejected
+// right away; the rest of it is read and dropped so the error can still be sent.
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                tooLarge = true;
+                chunks = [];
+                reject(new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (tooLarge) return;
+
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Request body is not valid JSON', {
+                    details: error.message
+                }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// Run a command and resolve with the first reply it produces
+function runCommand(commandRegistry, route, data) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const settle = (result) => {
+            if (!settled) {
+                settled = true;
+                resolve(result);
+            }
+        };
+
+        const ctx = {
+            client: { id: 'http', pendingChatsRequest: null },
+            command: route.command,
+            requestId: null,
+            reply: (type, replyData) => settle({ ok: true, type, data: replyData }),
+            replyError: (type, error) => settle({ ok: false, type, error })
+        };
+
+        commandRegistry.dispatch(ctx, route.command, data)
+            .then(() => settle(route.fallback ? { ok: true, ...route.fallback } : { ok: true, type: null, data: null }))
+            .catch(reject);
+    });
+}
+
+// Create the request handler for the REST API. Requests are authenticated
+// with the same shared secret as WebSocket clients.
+function createHttpApi({ authManager, commandRegistry }) {
+    return async function handleHttpRequest(req, res) {
+        const timer = performance.start('http_api_request');
+        const url = new URL(req.url || '/', 'http://localhost');
+
+        try {
+            if (!url.pathname.startsWith('/api/')) {
+                res.writeHead(426, { 'Content-Type': 'text/plain' });
+                res.end('Upgrade Required');
+                return;
+            }
+
+            if (!authManager.isOriginAllowed(req.headers.origin)) {
+                sendJson(res, 403, { ok: false, error: { code: 'FORBIDDEN', message: 'Origin not allowed' } });
+                return;
+            }
+
+            if (!authManager.isRequestAuthenticated(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                sendJson(res, 401, { ok: false, error: { code: 'UNAUTHENTICATED', message: 'Missing or invalid token' } });
+                return;
+            }
+
+            const matches = ROUTES.filter(route => route.path.test(url.pathname));
+            if (matches.length === 0) {
+                throw new CommandError(ErrorCodes.NOT_FOUND, `No route for ${url.pathname}`);
+            }
+
+            const route = matches.find(candidate => candidate.method === req.method);
+            if (!route) {
+                res.setHeader('Allow', matches.map(candidate => candidate.method).join(', '));
+                sendJson(res, 405, { ok: false, error: { code: 'METHOD_NOT_ALLOWED', message: `Method ${req.method} not allowed` } });
+                return;
+            }
+
+            const params = route.path.exec(url.pathname).slice(1).map(decodePathParam);
+            const body = req.method === 'POST' ? await readJsonBody(req) : {};
+            const data = route.buildData ? route.buildData({ params, query: url.searchParams, body }) : {};
+
+            log.debug('HTTP API request', { method: req.method, path: url.pathname, command: route.command });
+
+            const result = await runCommand(commandRegistry, route, data);
+            if (result.ok) {
+                sendJson(res, 200, result);
+            } else {
+                sendJson(res, STATUS_BY_CODE[result.error?.code] || 500, result);
+            }
+
+            timer.end({ command: route.command, ok: result.ok });
+
+        } catch (error) {
+            timer.end({ error: true });
+            // Do not keep the connection for another request while the body is still arriving
+            if (!req.complete) {
+                res.setHeader('Connection', 'close');
+            }
+            sendError(res, error);
+        }
+    };
+}
+
+module.exports = {
+    createHttpApi
+};
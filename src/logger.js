@@ -5,6 +5,7 @@ const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { ErrorCodes, CommandError, getErrorCode, isRetryable } = require('./errors.js');
 
 // Determine the appropriate logs directory based on environment
 function getLogsDirectory() {
@@ -129,6 +130,12 @@ const log = {
     }
 };
 
+// Machine-readable code and retry hint attached to every error response
+function describeError(error, fallbackCode) {
+    const code = getErrorCode(error, fallbackCode);
+    return { code, retryable: isRetryable(error, code) };
+}
+
 // Error handling utilities
 const errorHandler = {
     // Handle and log WebSocket errors
@@ -137,7 +144,8 @@ const errorHandler = {
         return {
             type: 'websocket_error',
             message: 'WebSocket connection error',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
         };
     },
     
@@ -147,7 +155,8 @@ const errorHandler = {
         return {
             type: 'baileys_error',
             message: 'WhatsApp connection error',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.UNAVAILABLE)
         };
     },
     
@@ -157,7 +166,8 @@ const errorHandler = {
         return {
             type: 'messaging_error',
             message: 'Message processing error',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
         };
     },
     
@@ -167,7 +177,8 @@ const errorHandler = {
         return {
             type: 'database_error',
             message: 'Database operation error',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
         };
     },
     
@@ -177,8 +188,29 @@ const errorHandler = {
         return {
             type: 'avatar_error',
             message: 'Avatar processing error',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
+        };
+    },
+
+    // Handle errors raised while dispatching a frontend command
+    command: (error, context = '') => {
+        // Rejected commands are client mistakes or expected states, not backend failures
+        if (error instanceof CommandError) {
+            log.warn(`Command rejected${context ? ` in ${context}` : ''}`, { code: error.code, error: error.message });
+        } else {
+            log.error(`Command error${context ? ` in ${context}` : ''}`, error, { type: 'command' });
+        }
+        const response = {
+            type: 'command_error',
+            message: error?.message || 'Command failed',
+            details: error?.details || error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
         };
+        if (error?.fields) {
+            response.fields = error.fields;
+        }
+        return response;
     },
 
     // Generic error handler
@@ -187,7 +219,8 @@ const errorHandler = {
         return {
             type: 'generic_error',
             message: 'An unexpected error occurred',
-            details: error?.message || 'Unknown error'
+            details: error?.message || 'Unknown error',
+            ...describeError(error, ErrorCodes.INTERNAL)
         };
     }
 };
@@ -0,0 +1,304 @@
+// message-queue.js
+// Durable queue of outgoing messages, flushed in order while WhatsApp is connected
+
+const { log, performance } = require('./logger.js');
+const { ErrorCodes, getErrorCode } = require('./errors.js');
+
+const MAX_ATTEMPTS = parseInt(process.env.KARERE_SEND_MAX_ATTEMPTS, 10) || 5;
+const BASE_RETRY_DELAY = 2000; // 2 seconds
+const MAX_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+// Stop waiting for a message's outcome after this long; it keeps being retried
+// and the frontend still follows it through queue change events
+const WAITER_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+
+// Errors that will not go away by sending the same message again
+const PERMANENT_ERROR_CODES = new Set([
+    ErrorCodes.INVALID_ARGUMENT,
+    ErrorCodes.NOT_FOUND,
+    ErrorCodes.FAILED_PRECONDITION
+]);
+
+// Exponential backoff before the next attempt after the given number of failed attempts
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+class MessageQueue {
+    constructor() {
+        this.database = null;
+        this.send = null;
+        this.isConnected = () => false;
+        this.onChange = () => {};
+        this.flushing = null;
+        this.flushRequested = false;
+        this.retryTimer = null;
+        this.inFlight = new Set();
+        this.waiters = new Map();
+    }
+
+    // database is the store backend.js selected, send(entry) delivers one queued
+    // message, isConnected() reports whether sending is possible and
+    // onChange(event, entry) observes queue updates
+    configure({ database, send, isConnected, onChange }) {
+        this.database = database;
+        this.send = send;
+        this.isConnected = isConnected || this.isConnected;
+        this.onChange = onChange || this.onChange;
+    }
+
+    // Persist a message as pending and try to send it. The message row is
+    // stored right away so the frontend can render it with its final id.
+    async enqueue({ id, chatJid, content, displayContent, messageType = 'text', replyToId = null, payload = null }) {
+        const timestamp = Date.now();
+
+        await this.database.ensureChat(chatJid);
+        await this.database.saveMessage(id, chatJid, true, displayContent, timestamp, messageType, 'pending', null, null, { replyToId, payload });
+        await this.database.enqueueOutgoingMessage(id, chatJid, JSON.stringify(content), timestamp);
+
+        log.message('Message queued', { id, chatJid });
+        this.flush();
+
+        return { id, chatJid, status: 'pending', timestamp };
+    }
+
+    // Resolve once a queued message was sent, failed permanently or was cancelled.
+    // After WAITER_TIMEOUT the promise resolves with the status 'pending' instead.
+    whenSettled(id) {
+        return new Promise((resolve) => {
+            const waiter = { resolve, timer: null };
+            waiter.timer = setTimeout(() => {
+                this.removeWaiter(id, waiter);
+                resolve({ id, status: 'pending', expired: true });
+            }, WAITER_TIMEOUT);
+            waiter.timer.unref();
+
+            const waiters = this.waiters.get(id) || [];
+            waiters.push(waiter);
+            this.waiters.set(id, waiters);
+        });
+    }
+
+    removeWaiter(id, waiter) {
+        const waiters = (this.waiters.get(id) || []).filter(other => other !== waiter);
+        if (waiters.length > 0) {
+            this.waiters.set(id, waiters);
+        } else {
+            this.waiters.delete(id);
+        }
+    }
+
+    // Drop the waiters of a message that will never settle, e.g. because it
+    // could not be queued
+    forget(id) {
+        for (const waiter of this.waiters.get(id) || []) {
+            clearTimeout(waiter.timer);
+        }
+        this.waiters.delete(id);
+    }
+
+    // Send every due message, oldest first. A message that fails keeps the later
+    // messages of its chat waiting so they are never delivered out of order.
+    flush() {
+        if (this.flushing) {
+            this.flushRequested = true;
+            return this.flushing;
+        }
+
+        this.flushing = this.runFlush()
+            .catch(error => log.error('Failed to flush outgoing messages', error))
+            .finally(() => {
+                this.flushing = null;
+                if (this.flushRequested) {
+                    this.flushRequested = false;
+                    this.flush();
+                }
+            });
+
+        return this.flushing;
+    }
+
+    async runFlush() {
+        if (!this.send || !this.isConnected()) {
+            return;
+        }
+
+        const timer = performance.start('message_queue_flush');
+        const entries = await this.database.getOutgoingMessages('pending');
+        const blockedChats = new Set();
+        const now = Date.now();
+        let sent = 0;
+
+        for (const entry of entries) {
+            if (blockedChats.has(entry.chat_jid)) {
+                continue;
+            }
+            if (entry.next_attempt_at > now || !this.isConnected()) {
+                blockedChats.add(entry.chat_jid);
+                continue;
+            }
+
+            if (await this.attempt(entry)) {
+                sent++;
+            } else {
+                blockedChats.add(entry.chat_jid);
+            }
+        }
+
+        timer.end({ queued: entries.length, sent });
+        await this.scheduleRetry();
+    }
+
+    // Try to send one entry. Returns true when it was delivered.
+    async attempt(entry) {
+        this.inFlight.add(entry.message_id);
+
+        try {
+            await this.send({ ...entry, content: JSON.parse(entry.content) });
+
+            await this.database.removeOutgoingMessage(entry.message_id);
+            await this.database.updateMessageStatus(entry.message_id, 'sent');
+            log.message('Queued message sent', { id: entry.message_id, attempts: entry.attempts + 1 });
+
+            this.notify('sent', { ...entry, status: 'sent' });
+            return true;
+
+        } catch (error) {
+            await this.handleFailure(entry, error);
+            return false;
+
+        } finally {
+            this.inFlight.delete(entry.message_id);
+        }
+    }
+
+    async handleFailure(entry, error) {
+        const code = getErrorCode(error, ErrorCodes.UNAVAILABLE);
+        const message = error.message || String(error);
+
+        // Losing the connection is not the message's fault; it is retried on reconnect
+        if (code === ErrorCodes.NOT_CONNECTED) {
+            await this.database.updateOutgoingMessage(entry.message_id, 'pending', entry.attempts, Date.now(), message);
+            log.message('Queued message waiting for connection', { id: entry.message_id });
+            return;
+        }
+
+        const attempts = entry.attempts + 1;
+        if (PERMANENT_ERROR_CODES.has(code) || attempts >= MAX_ATTEMPTS) {
+            await this.database.updateOutgoingMessage(entry.message_id, 'failed', attempts, null, message);
+            await this.database.updateMessageStatus(entry.message_id, 'failed');
+            log.warn('Queued message failed', { id: entry.message_id, attempts, code, error: message });
+
+            this.notify('failed', { ...entry, attempts, status: 'failed', error: { code, message } });
+            return;
+        }
+
+        const delay = getRetryDelay(attempts);
+        const nextAttemptAt = Date.now() + delay;
+        await this.database.updateOutgoingMessage(entry.message_id, 'pending', attempts, nextAttemptAt, message);
+        log.message('Queued message will be retried', { id: entry.message_id, attempts, delay });
+
+        this.notify('retrying', { ...entry, attempts, status: 'pending', nextAttemptAt, error: { code, message } });
+    }
+
+    // Wake up for the earliest upcoming retry. Messages that are already due were
+    // just attempted or are waiting behind an earlier message of their chat.
+    async scheduleRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        const nextAttemptAt = await this.database.getNextOutgoingAttempt(Date.now());
+        if (nextAttemptAt === null || !this.isConnected()) {
+            return;
+        }
+
+        const delay = Math.max(nextAttemptAt - Date.now(), 0);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, delay);
+    }
+
+    // Put a failed (or waiting) message back at the front of the retry schedule
+    async retry(id) {
+        const entry = await this.database.getOutgoingMessage(id);
+        if (!entry) {
+            return null;
+        }
+
+        await this.database.updateOutgoingMessage(id, 'pending', 0, Date.now(), entry.last_error);
+        await this.database.updateMessageStatus(id, 'pending');
+        log.message('Queued message retry requested', { id });
+
+        this.flush();
+        return { id, chatJid: entry.chat_jid, status: 'pending' };
+    }
+
+    // Drop a message that has not been sent yet. Returns null when the message
+    // is not queued and false when it is being sent right now.
+    async cancel(id) {
+        const entry = await this.database.getOutgoingMessage(id);
+        if (!entry) {
+            return null;
+        }
+        if (this.inFlight.has(id)) {
+            return false;
+        }
+
+        await this.database.deleteMessage(id); // cascades to the queue entry
+        log.message('Queued message cancelled', { id });
+
+        this.notify('cancelled', { ...entry, status: 'cancelled' });
+        return true;
+    }
+
+    notify(event, entry) {
+        const outcome = {
+            id: entry.message_id,
+            chatJid: entry.chat_jid,
+            status: entry.status,
+            attempts: entry.attempts,
+            nextAttemptAt: entry.nextAttemptAt || null,
+            error: entry.error || null
+        };
+
+        try {
+            this.onChange(event, outcome);
+        } catch (error) {
+            log.error('Message queue listener failed', error);
+        }
+
+        if (event !== 'retrying') {
+            for (const waiter of this.waiters.get(outcome.id) || []) {
+                clearTimeout(waiter.timer);
+                waiter.resolve(outcome);
+            }
+            this.waiters.delete(outcome.id);
+        }
+    }
+
+    async getStatus() {
+        return {
+            pending: await this.database.countOutgoingMessages('pending'),
+            failed: await this.database.countOutgoingMessages('failed'),
+            inFlight: this.inFlight.size
+        };
+    }
+
+    shutdown() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+}
+
+// Create singleton instance
+const messageQueue = new MessageQueue();
+
+module.exports = messageQueue;
+module.exports.MessageQueue = MessageQueue;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.WAITER_TIMEOUT = WAITER_TIMEOUT;
@@ -0,0 +1,56 @@
+// poll-vote.js
+// Encryption of poll votes, which WhatsApp keeps end-to-end encrypted
+
+const crypto = require('crypto');
+
+// Votes name their options by the SHA-256 of the option's text
+function pollOptionHash(name) {
+    return crypto.createHash('sha256').update(Buffer.from(name)).digest('hex');
+}
+
+// The vote key is derived from the poll's secret, the poll id and the JIDs of
+// the poll's creator and the voter, so a vote only decrypts for that poll and voter
+function deriveVoteKey({ pollMsgId, pollCreatorJid, pollEncKey, voterJid }) {
+    const sign = Buffer.concat([
+        Buffer.from(pollMsgId),
+        Buffer.from(pollCreatorJid),
+        Buffer.from(voterJid),
+        Buffer.from('Poll Vote'),
+        Buffer.from([1])
+    ]);
+    const key0 = crypto.createHmac('sha256', Buffer.alloc(32)).update(pollEncKey).digest();
+    return crypto.createHmac('sha256', key0).update(sign).digest();
+}
+
+function voteAad({ pollMsgId, voterJid }) {
+    return Buffer.from(`${pollMsgId}\u0000${voterJid}`);
+}
+
+// Encrypt an encoded PollVoteMessage the way WhatsApp expects: AES-GCM with
+// the authentication tag appended to the payload
+function encryptPollVote(plaintext, context) {
+    const encIv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveVoteKey(context), encIv);
+    cipher.setAAD(voteAad(context));
+    const encPayload = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    return { encPayload, encIv };
+}
+
+// Decrypt a vote back into the encoded PollVoteMessage. Throws when the vote
+// was not made for this poll and voter or was tampered with.
+function decryptPollVote({ encPayload, encIv }, context) {
+    const payload = Buffer.from(encPayload);
+    const tagStart = payload.length - 16;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveVoteKey(context), encIv);
+    decipher.setAAD(voteAad(context));
+    decipher.setAuthTag(payload.subarray(tagStart));
+    return Buffer.concat([decipher.update(payload.subarray(0, tagStart)), decipher.final()]);
+}
+
+module.exports = {
+    pollOptionHash,
+    encryptPollVote,
+    decryptPollVote
+};
@@ -0,0 +1,111 @@
+// protocol.js
+// Frontend protocol version and capability description for the hello handshake
+
+const packageInfo = require('../package.json');
+
+// Bump when the wire format changes in a way older frontends cannot handle
+const PROTOCOL_VERSION = 1;
+// Oldest frontend protocol version this backend still speaks
+const MIN_PROTOCOL_VERSION = 1;
+
+// Broadcast event types the backend may emit
+const EVENT_TYPES = [
+    'baileys_ready',
+    'blocklist_updated',
+    'chat_updated',
+    'chats_updated',
+    'connection_failed',
+    'connection_lost',
+    'connection_status',
+    'download_complete',
+    'download_error',
+    'download_progress',
+    'group_updated',
+    'initial_download_started',
+    'message_deleted',
+    'message_status',
+    'message_updated',
+    'newMessage',
+    'poll_update',
+    'presence_update',
+    'qr',
+    'reaction_update',
+    'scheduled_message_failed',
+    'scheduled_message_fired',
+    'session_logout',
+    'sync_complete',
+    'sync_error',
+    'sync_progress',
+    'sync_started',
+    'typing_start',
+    'typing_stop'
+];
+
+// Feature flags and the commands that must be registered for each to be reported
+const FEATURE_COMMANDS = {
+    messaging: ['send_message', 'get_message_history'],
+    typing: ['typing_start', 'typing_stop'],
+    presence: ['subscribe_presence'],
+    contacts: ['get_contact_info', 'sync_contacts'],
+    blocking: ['block_contact', 'unblock_contact', 'get_blocklist'],
+    replay: ['resume'],
+    outgoingQueue: ['retry_message', 'cancel_message'],
+    polls: ['send_poll', 'get_poll_results', 'vote_poll'],
+    locations: ['send_location'],
+    contactCards: ['send_contact'],
+    scheduling: ['schedule_message', 'list_scheduled_messages', 'cancel_scheduled_message'],
+    mediaSending: ['send_media'],
+    mediaUpload: ['start_media_upload', 'upload_media_chunk'],
+    reactions: ['send_reaction', 'remove_reaction'],
+    editing: ['edit_message', 'delete_message'],
+    receipts: ['get_message_receipts'],
+    readState: ['mark_read'],
+    search: ['search_messages'],
+    groups: ['create_group', 'get_group_info'],
+    groupAdmin: [
+        'update_group_participants',
+        'set_group_subject',
+        'set_group_description',
+        'set_group_picture',
+        'set_group_settings',
+        'leave_group',
+        'get_group_invite_link',
+        'revoke_group_invite_link',
+        'accept_group_invite'
+    ]
+};
+
+function getFeatureFlags(commandRegistry) {
+    const features = {};
+
+    for (const [feature, commands] of Object.entries(FEATURE_COMMANDS)) {
+        features[feature] = commands.every(command => commandRegistry.has(command));
+    }
+
+    return features;
+}
+
+function isProtocolSupported(version) {
+    return Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+}
+
+// Describe this backend for the hello handshake
+function buildHello(commandRegistry) {
+    return {
+        backend: packageInfo.name,
+        backendVersion: packageInfo.version,
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        commands: commandRegistry.list().map(command => command.name),
+        events: EVENT_TYPES,
+        features: getFeatureFlags(commandRegistry)
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    EVENT_TYPES,
+    buildHello,
+    isProtocolSupported
+};
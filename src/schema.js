@@ -0,0 +1,86 @@
+// schema.js
+// Minimal payload validation for frontend commands
+//
+// A schema maps field names to rules:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+//   required   reject the payload when the field is missing or null
+//   default    value used when the field is missing
+//   min, max   inclusive bounds for numbers and integers
+//   minLength, maxLength   bounds for string and array lengths
+//   enum       list of allowed values
+//   items      rules applied to every element of an array
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function checkValue(field, rules, value, problems) {
+    if (rules.type && !typeMatches(rules.type, value)) {
+        problems.push({ field, problem: `must be of type ${rules.type}` });
+        return;
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+        problems.push({ field, problem: `must be one of: ${rules.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (rules.min !== undefined && value < rules.min) {
+            problems.push({ field, problem: `must be at least ${rules.min}` });
+        }
+        if (rules.max !== undefined && value > rules.max) {
+            problems.push({ field, problem: `must be at most ${rules.max}` });
+        }
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            problems.push({ field, problem: `must have a length of at least ${rules.minLength}` });
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            problems.push({ field, problem: `must have a length of at most ${rules.maxLength}` });
+        }
+    }
+
+    if (rules.items && Array.isArray(value)) {
+        value.forEach((item, index) => checkValue(`${field}[${index}]`, rules.items, item, problems));
+    }
+}
+
+// Validate a payload and fill in defaults. Returns { value, problems }.
+function validate(schema, data) {
+    const value = { ...data };
+    const problems = [];
+
+    for (const [field, rules] of Object.entries(schema)) {
+        if (value[field] === undefined && rules.default !== undefined) {
+            value[field] = rules.default;
+        }
+
+        if (value[field] === undefined || value[field] === null) {
+            if (rules.required) {
+                problems.push({ field, problem: 'is required' });
+            }
+            continue;
+        }
+
+        checkValue(field, rules, value[field], problems);
+    }
+
+    return { value, problems };
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,142 @@
+// vcard.js
+// Minimal vCard reading and writing for shared contact cards
+
+// Undo vCard text escaping
+function unescapeValue(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a raw value on separators that are not escaped, then unescape each
+// component, so "Doe\;X;John" yields ["Doe;X", "John"]
+function splitValue(raw, separators) {
+    const components = [];
+    let current = '';
+
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i] === '\\' && i + 1 < raw.length) {
+            current += raw[i] + raw[i + 1];
+            i++;
+        } else if (separators.includes(raw[i])) {
+            components.push(current);
+            current = '';
+        } else {
+            current += raw[i];
+        }
+    }
+    components.push(current);
+
+    return components.map(unescapeValue);
+}
+
+function escapeValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+// Split "TEL;type=CELL;waid=123:+1 555" into its name, parameters and value
+function parseLine(line) {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+
+    const [name, ...rawParams] = line.slice(0, separator).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const [key, value = ''] = param.split('=');
+        const paramName = key.toLowerCase();
+        params[paramName] = params[paramName] ? `${params[paramName]},${value}` : value;
+    }
+
+    // Grouped properties look like "item1.TEL"
+    const propertyName = name.includes('.') ? name.split('.').pop() : name;
+
+    const rawValue = line.slice(separator + 1);
+    return {
+        name: propertyName.toUpperCase(),
+        params,
+        rawValue,
+        value: unescapeValue(rawValue)
+    };
+}
+
+// Parse the fields of a vCard that matter for showing and saving a contact
+function parseVCard(vcard, displayName = null) {
+    const contact = {
+        name: displayName || null,
+        phones: [],
+        emails: [],
+        organization: null
+    };
+
+    if (!vcard) {
+        return contact;
+    }
+
+    // Continuation lines start with a space or tab
+    const lines = vcard.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    // N is only used when there is no FN, wherever the two appear
+    let structuredName = null;
+
+    for (const line of lines) {
+        const property = parseLine(line.trim());
+        if (!property || !property.value) continue;
+
+        switch (property.name) {
+            case 'FN':
+                contact.name = contact.name || property.value;
+                break;
+            case 'N': {
+                const [family, given] = splitValue(property.rawValue, ';');
+                structuredName = [given, family].filter(Boolean).join(' ') || null;
+                break;
+            }
+            case 'TEL':
+                contact.phones.push({
+                    number: property.value,
+                    type: property.params.type || null,
+                    // WhatsApp adds the account's number so the contact can be messaged directly
+                    jid: property.params.waid ? `${property.params.waid}@s.whatsapp.net` : null
+                });
+                break;
+            case 'EMAIL':
+                contact.emails.push(property.value);
+                break;
+            case 'ORG':
+                contact.organization = splitValue(property.rawValue, ',;').filter(Boolean).join(', ') || null;
+                break;
+        }
+    }
+
+    contact.name = contact.name || structuredName;
+    return contact;
+}
+
+// Build a vCard for a contact: { name, phoneNumber, organization, email }
+function buildVCard({ name, phoneNumber, organization, email }) {
+    const digits = phoneNumber.replace(/[^\d]/g, '');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeValue(name)}`
+    ];
+
+    if (organization) {
+        lines.push(`ORG:${escapeValue(organization)}`);
+    }
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:${phoneNumber}`);
+    if (email) {
+        lines.push(`EMAIL:${escapeValue(email)}`);
+    }
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseVCard,
+    buildVCard
+};
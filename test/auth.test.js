@@ -0,0 +1,40 @@
+// Tests for the shared-secret and Origin checks in auth.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.KARERE_AUTH_TOKEN = 'secret-token';
+process.env.KARERE_ALLOWED_ORIGINS = 'http://localhost:3000, https://karere.example';
+
+const authManager = require('../src/auth.js');
+
+test.before(async () => {
+    await authManager.initialize();
+});
+
+test('verifyToken accepts only the exact secret', () => {
+    assert.strictEqual(authManager.verifyToken('secret-token'), true);
+    assert.strictEqual(authManager.verifyToken('secret-tokex'), false);
+    assert.strictEqual(authManager.verifyToken('secret'), false);
+    assert.strictEqual(authManager.verifyToken(''), false);
+    assert.strictEqual(authManager.verifyToken(undefined), false);
+    assert.strictEqual(authManager.verifyToken(42), false);
+});
+
+test('requests authenticate with a Bearer header or a token query parameter', () => {
+    assert.strictEqual(authManager.isRequestAuthenticated({ headers: { authorization: 'Bearer secret-token' }, url: '/' }), true);
+    assert.strictEqual(authManager.isRequestAuthenticated({ headers: {}, url: '/?token=secret-token' }), true);
+    assert.strictEqual(authManager.isRequestAuthenticated({ headers: { authorization: 'Bearer wrong' }, url: '/?token=secret-token' }), false);
+    assert.strictEqual(authManager.isRequestAuthenticated({ headers: { authorization: 'Basic secret-token' }, url: '/' }), false);
+    assert.strictEqual(authManager.isRequestAuthenticated({ headers: {}, url: '/api/chats' }), false);
+    assert.strictEqual(authManager.isRequestAuthenticated(null), false);
+});
+
+test('isOriginAllowed lets native clients through and only listed browser origins', () => {
+    assert.strictEqual(authManager.isOriginAllowed(undefined), true);
+    assert.strictEqual(authManager.isOriginAllowed(''), true);
+    assert.strictEqual(authManager.isOriginAllowed('http://localhost:3000'), true);
+    assert.strictEqual(authManager.isOriginAllowed('https://karere.example'), true);
+    assert.strictEqual(authManager.isOriginAllowed('https://evil.example'), false);
+    assert.strictEqual(authManager.isOriginAllowed('http://localhost:3001'), false);
+});
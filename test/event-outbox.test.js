@@ -0,0 +1,67 @@
+// Tests for the replay window of event-outbox.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { EventOutbox } = require('../src/event-outbox.js');
+
+function fill(outbox, count, data = {}) {
+    for (let i = 0; i < count; i++) {
+        outbox.append('message_status', data);
+    }
+}
+
+test('events are numbered from 1 and replayed after the last seen seq', () => {
+    const outbox = new EventOutbox(10);
+    fill(outbox, 5);
+
+    assert.deepStrictEqual(outbox.since(2).map(event => event.seq), [3, 4, 5]);
+    assert.deepStrictEqual(outbox.since(0).map(event => event.seq), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(outbox.since(5), []);
+});
+
+test('replay is refused for another epoch, a seq from the future or a bad seq', () => {
+    const outbox = new EventOutbox(10);
+    fill(outbox, 3);
+
+    assert.deepStrictEqual(outbox.since(1, outbox.epoch).length, 2);
+    assert.strictEqual(outbox.since(1, 'another-run'), null);
+    assert.strictEqual(outbox.since(4), null);
+    assert.strictEqual(outbox.since(-1), null);
+    assert.strictEqual(outbox.since('1'), null);
+});
+
+test('evicted events make older positions unreplayable', () => {
+    const outbox = new EventOutbox(3);
+    fill(outbox, 5);
+
+    assert.deepStrictEqual(outbox.getStatus().oldestSeq, 3);
+    assert.strictEqual(outbox.since(1), null);
+    assert.deepStrictEqual(outbox.since(2).map(event => event.seq), [3, 4, 5]);
+});
+
+test('the buffer is bounded by serialized size', () => {
+    const payload = { text: 'x'.repeat(90) };
+    const size = Buffer.byteLength(JSON.stringify(payload));
+    const outbox = new EventOutbox(100, size * 3);
+    fill(outbox, 5, payload);
+
+    const status = outbox.getStatus();
+    assert.strictEqual(status.buffered, 3);
+    assert.strictEqual(status.bytes, size * 3);
+    assert.strictEqual(outbox.since(1), null);
+    assert.deepStrictEqual(outbox.since(2).map(event => event.seq), [3, 4, 5]);
+});
+
+test('an event larger than the byte limit is not kept', () => {
+    const outbox = new EventOutbox(100, 50);
+    fill(outbox, 1, { text: 'small' });
+    outbox.append('chats_updated', { avatar: 'x'.repeat(500) });
+
+    const status = outbox.getStatus();
+    assert.strictEqual(status.buffered, 0);
+    assert.strictEqual(status.bytes, 0);
+    assert.strictEqual(status.lastSeq, 2);
+    assert.strictEqual(outbox.since(1), null);
+    assert.deepStrictEqual(outbox.since(2), []);
+});
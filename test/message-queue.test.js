@@ -0,0 +1,251 @@
+// Tests for retries, backoff and outcome waiters in message-queue.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MessageQueue, getRetryDelay, MAX_ATTEMPTS, WAITER_TIMEOUT } = require('../src/message-queue.js');
+const { ErrorCodes, CommandError } = require('../src/errors.js');
+
+// In-memory stand-in for the outbox and message tables the queue uses
+class MemoryDatabase {
+    constructor() {
+        this.messages = new Map();
+        this.outbox = new Map();
+    }
+
+    async ensureChat() {}
+
+    async saveMessage(id, chatJid, fromMe, content, timestamp, messageType, status) {
+        this.messages.set(id, { id, chatJid, status });
+    }
+
+    async updateMessageStatus(id, status) {
+        this.messages.get(id).status = status;
+    }
+
+    async deleteMessage(id) {
+        this.messages.delete(id);
+        this.outbox.delete(id);
+    }
+
+    async enqueueOutgoingMessage(messageId, chatJid, content, createdAt) {
+        this.outbox.set(messageId, {
+            message_id: messageId,
+            chat_jid: chatJid,
+            content,
+            state: 'pending',
+            attempts: 0,
+            next_attempt_at: createdAt,
+            last_error: null
+        });
+    }
+
+    async getOutgoingMessages(state) {
+        return [...this.outbox.values()].filter(entry => entry.state === state).map(entry => ({ ...entry }));
+    }
+
+    async getOutgoingMessage(messageId) {
+        const entry = this.outbox.get(messageId);
+        return entry ? { ...entry } : undefined;
+    }
+
+    async updateOutgoingMessage(messageId, state, attempts, nextAttemptAt, lastError = null) {
+        Object.assign(this.outbox.get(messageId), { state, attempts, next_attempt_at: nextAttemptAt, last_error: lastError });
+    }
+
+    async removeOutgoingMessage(messageId) {
+        this.outbox.delete(messageId);
+    }
+
+    async getNextOutgoingAttempt(after) {
+        const times = [...this.outbox.values()]
+            .filter(entry => entry.state === 'pending' && entry.next_attempt_at > after)
+            .map(entry => entry.next_attempt_at);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    async countOutgoingMessages(state) {
+        return (await this.getOutgoingMessages(state)).length;
+    }
+}
+
+function createQueue(t, send, { connected = true } = {}) {
+    const queue = new MessageQueue();
+    const database = new MemoryDatabase();
+    const events = [];
+    const connection = { connected };
+
+    queue.configure({
+        database,
+        send,
+        isConnected: () => connection.connected,
+        onChange: (event, outcome) => events.push({ event, ...outcome })
+    });
+    t.after(() => queue.shutdown());
+
+    return { queue, database, events, connection };
+}
+
+// Flush and wait for any flush that was requested while one was running
+async function drain(queue) {
+    await queue.flush();
+    while (queue.flushing) {
+        await queue.flushing;
+    }
+}
+
+test('retry delays double from 2 seconds and are capped at 5 minutes', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(getRetryDelay), [2000, 4000, 8000, 16000, 32000]);
+    assert.strictEqual(getRetryDelay(9), 5 * 60 * 1000);
+    assert.strictEqual(getRetryDelay(30), 5 * 60 * 1000);
+});
+
+test('a sent message is removed from the queue and its waiter resolves', async (t) => {
+    const sent = [];
+    const { queue, database } = createQueue(t, async (entry) => { sent.push(entry); });
+
+    const settled = queue.whenSettled('m1');
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: { text: 'hi' }, displayContent: 'hi' });
+    await drain(queue);
+
+    assert.deepStrictEqual(sent.map(entry => entry.content), [{ text: 'hi' }]);
+    assert.strictEqual((await settled).status, 'sent');
+    assert.strictEqual(database.messages.get('m1').status, 'sent');
+    assert.strictEqual(database.outbox.size, 0);
+    assert.strictEqual(queue.waiters.size, 0);
+});
+
+test('transient failures are retried with backoff until the attempts run out', async (t) => {
+    const { queue, database, events } = createQueue(t, async () => {
+        throw new CommandError(ErrorCodes.UNAVAILABLE, 'Timed Out');
+    });
+
+    const settled = queue.whenSettled('m1');
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: { text: 'hi' }, displayContent: 'hi' });
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const before = Date.now();
+        // Make the entry due again instead of waiting for the retry timer
+        database.outbox.get('m1').next_attempt_at = 0;
+        await drain(queue);
+
+        const entry = database.outbox.get('m1');
+        assert.strictEqual(entry.attempts, attempt);
+        if (attempt < MAX_ATTEMPTS) {
+            assert.strictEqual(entry.state, 'pending');
+            assert.ok(entry.next_attempt_at >= before + getRetryDelay(attempt));
+            assert.ok(entry.next_attempt_at <= Date.now() + getRetryDelay(attempt));
+        }
+    }
+
+    const outcome = await settled;
+    assert.strictEqual(outcome.status, 'failed');
+    assert.strictEqual(outcome.error.code, ErrorCodes.UNAVAILABLE);
+    assert.strictEqual(database.outbox.get('m1').state, 'failed');
+    assert.strictEqual(database.messages.get('m1').status, 'failed');
+    assert.deepStrictEqual(events.map(event => event.event), [...Array(MAX_ATTEMPTS - 1).fill('retrying'), 'failed']);
+});
+
+test('permanent errors fail at once without retries', async (t) => {
+    const { queue, database, events } = createQueue(t, async () => {
+        throw new CommandError(ErrorCodes.INVALID_ARGUMENT, 'Bad message');
+    });
+
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: {}, displayContent: '' });
+    await drain(queue);
+
+    assert.strictEqual(database.outbox.get('m1').state, 'failed');
+    assert.strictEqual(database.outbox.get('m1').attempts, 1);
+    assert.deepStrictEqual(events.map(event => event.event), ['failed']);
+});
+
+test('a message waiting for a retry holds back later messages of its chat only', async (t) => {
+    const sent = [];
+    let failFirst = true;
+    const { queue, database, connection } = createQueue(t, async (entry) => {
+        if (entry.message_id === 'm1' && failFirst) {
+            failFirst = false;
+            throw new CommandError(ErrorCodes.UNAVAILABLE, 'Timed Out');
+        }
+        sent.push(entry.message_id);
+    }, { connected: false });
+
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: {}, displayContent: '' });
+    await queue.enqueue({ id: 'm2', chatJid: 'c1', content: {}, displayContent: '' });
+    await queue.enqueue({ id: 'm3', chatJid: 'c2', content: {}, displayContent: '' });
+
+    connection.connected = true;
+    await drain(queue);
+    assert.deepStrictEqual(sent, ['m3']);
+
+    // Once m1 is due again the chat goes out in order
+    database.outbox.get('m1').next_attempt_at = 0;
+    await drain(queue);
+    assert.deepStrictEqual(sent, ['m3', 'm1', 'm2']);
+});
+
+test('losing the connection does not count as an attempt', async (t) => {
+    const { queue, database, events } = createQueue(t, async () => {
+        throw new CommandError(ErrorCodes.NOT_CONNECTED, 'Not connected to WhatsApp');
+    });
+
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: {}, displayContent: '' });
+    await drain(queue);
+
+    assert.strictEqual(database.outbox.get('m1').state, 'pending');
+    assert.strictEqual(database.outbox.get('m1').attempts, 0);
+    assert.deepStrictEqual(events, []);
+});
+
+test('nothing is sent while disconnected', async (t) => {
+    let calls = 0;
+    const { queue, database } = createQueue(t, async () => { calls++; }, { connected: false });
+
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: {}, displayContent: '' });
+    await drain(queue);
+
+    assert.strictEqual(calls, 0);
+    assert.deepStrictEqual(await queue.getStatus(), { pending: 1, failed: 0, inFlight: 0 });
+    assert.strictEqual(database.messages.get('m1').status, 'pending');
+});
+
+test('cancelling resolves the waiter and removes the message', async (t) => {
+    const { queue, database } = createQueue(t, async () => {}, { connected: false });
+
+    const settled = queue.whenSettled('m1');
+    await queue.enqueue({ id: 'm1', chatJid: 'c1', content: {}, displayContent: '' });
+
+    assert.strictEqual(await queue.cancel('m1'), true);
+    assert.strictEqual((await settled).status, 'cancelled');
+    assert.strictEqual(database.messages.has('m1'), false);
+    assert.strictEqual(queue.waiters.size, 0);
+    assert.strictEqual(await queue.cancel('m1'), null);
+});
+
+test('forget drops the waiters of a message that was never queued', (t) => {
+    const { queue } = createQueue(t, async () => {});
+
+    queue.whenSettled('m1');
+    queue.whenSettled('m1');
+    assert.strictEqual(queue.waiters.get('m1').length, 2);
+
+    queue.forget('m1');
+    assert.strictEqual(queue.waiters.size, 0);
+});
+
+test('waiters expire with a pending outcome', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { queue } = createQueue(t, async () => {});
+
+    const first = queue.whenSettled('m1');
+    t.mock.timers.tick(WAITER_TIMEOUT / 2);
+    const second = queue.whenSettled('m1');
+
+    t.mock.timers.tick(WAITER_TIMEOUT / 2);
+    assert.deepStrictEqual(await first, { id: 'm1', status: 'pending', expired: true });
+    assert.strictEqual(queue.waiters.get('m1').length, 1);
+
+    t.mock.timers.tick(WAITER_TIMEOUT / 2);
+    assert.deepStrictEqual(await second, { id: 'm1', status: 'pending', expired: true });
+    assert.strictEqual(queue.waiters.size, 0);
+});
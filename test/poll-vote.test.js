@@ -0,0 +1,60 @@
+// Tests for poll vote encryption in poll-vote.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { pollOptionHash, encryptPollVote, decryptPollVote } = require('../src/poll-vote.js');
+
+const context = {
+    pollMsgId: '3EB0C431C26A1916E07E',
+    pollCreatorJid: '15551234567@s.whatsapp.net',
+    pollEncKey: Buffer.alloc(32, 7),
+    voterJid: '15557654321@s.whatsapp.net'
+};
+
+test('option hashes are the SHA-256 of the option text', () => {
+    assert.strictEqual(pollOptionHash('Yes'), crypto.createHash('sha256').update('Yes').digest('hex'));
+    assert.strictEqual(pollOptionHash('Pizza 🍕').length, 64);
+    assert.notStrictEqual(pollOptionHash('Yes'), pollOptionHash('yes'));
+});
+
+test('an encrypted vote decrypts to the same bytes', () => {
+    const plaintext = Buffer.from(pollOptionHash('Yes'), 'hex');
+    const vote = encryptPollVote(plaintext, context);
+
+    assert.strictEqual(vote.encIv.length, 12);
+    // The 16 byte authentication tag follows the ciphertext
+    assert.strictEqual(vote.encPayload.length, plaintext.length + 16);
+    assert.deepStrictEqual(decryptPollVote(vote, context), plaintext);
+});
+
+test('every vote uses a fresh IV', () => {
+    const plaintext = Buffer.from('vote');
+    const first = encryptPollVote(plaintext, context);
+    const second = encryptPollVote(plaintext, context);
+
+    assert.notDeepStrictEqual(first.encIv, second.encIv);
+    assert.notDeepStrictEqual(first.encPayload, second.encPayload);
+});
+
+test('a tampered vote does not decrypt', () => {
+    const vote = encryptPollVote(Buffer.from('vote'), context);
+    const encPayload = Buffer.from(vote.encPayload);
+    encPayload[0] ^= 1;
+
+    assert.throws(() => decryptPollVote({ ...vote, encPayload }, context));
+});
+
+test('a vote only decrypts for its poll, creator, voter and secret', () => {
+    const vote = encryptPollVote(Buffer.from('vote'), context);
+
+    for (const change of [
+        { pollMsgId: '3EB0C431C26A1916E07F' },
+        { pollCreatorJid: '15550000000@s.whatsapp.net' },
+        { voterJid: '15550000000@s.whatsapp.net' },
+        { pollEncKey: Buffer.alloc(32, 8) }
+    ]) {
+        assert.throws(() => decryptPollVote(vote, { ...context, ...change }), undefined, Object.keys(change)[0]);
+    }
+});
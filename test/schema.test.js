@@ -0,0 +1,121 @@
+// Tests for command payload validation in schema.js and command-registry.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validate } = require('../src/schema.js');
+const commandRegistry = require('../src/command-registry.js');
+const { ErrorCodes } = require('../src/errors.js');
+
+const SEND_POLL_SCHEMA = {
+    to: { type: 'string', required: true, minLength: 1 },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    options: {
+        type: 'array',
+        required: true,
+        minLength: 2,
+        maxLength: 12,
+        items: { type: 'string', minLength: 1, maxLength: 100 }
+    },
+    selectableCount: { type: 'integer', min: 0, default: 1 }
+};
+
+test('a valid payload passes and gets its defaults', () => {
+    const { value, problems } = validate(SEND_POLL_SCHEMA, { to: '123@s.whatsapp.net', name: 'Lunch?', options: ['Pizza', 'Sushi'] });
+
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(value.selectableCount, 1);
+});
+
+test('validate does not modify the payload it is given', () => {
+    const data = { to: 'x', name: 'y', options: ['a', 'b'] };
+    validate(SEND_POLL_SCHEMA, data);
+
+    assert.strictEqual(data.selectableCount, undefined);
+});
+
+test('missing and null required fields are reported', () => {
+    const { problems } = validate(SEND_POLL_SCHEMA, { to: null, options: ['a', 'b'] });
+
+    assert.deepStrictEqual(problems, [
+        { field: 'to', problem: 'is required' },
+        { field: 'name', problem: 'is required' }
+    ]);
+});
+
+test('types, bounds and lengths are checked', () => {
+    const { problems } = validate(SEND_POLL_SCHEMA, { to: '', name: 5, options: ['a'], selectableCount: -1 });
+
+    assert.deepStrictEqual(problems, [
+        { field: 'to', problem: 'must have a length of at least 1' },
+        { field: 'name', problem: 'must be of type string' },
+        { field: 'options', problem: 'must have a length of at least 2' },
+        { field: 'selectableCount', problem: 'must be at least 0' }
+    ]);
+});
+
+test('integers reject fractions and numbers reject NaN', () => {
+    assert.deepStrictEqual(validate({ n: { type: 'integer' } }, { n: 1.5 }).problems, [{ field: 'n', problem: 'must be of type integer' }]);
+    assert.deepStrictEqual(validate({ n: { type: 'number' } }, { n: NaN }).problems, [{ field: 'n', problem: 'must be of type number' }]);
+    assert.deepStrictEqual(validate({ n: { type: 'number', max: 2 } }, { n: 2 }).problems, []);
+});
+
+test('array items are checked with their index', () => {
+    const { problems } = validate(SEND_POLL_SCHEMA, { to: 'x', name: 'y', options: ['a', '', 3] });
+
+    assert.deepStrictEqual(problems, [
+        { field: 'options[1]', problem: 'must have a length of at least 1' },
+        { field: 'options[2]', problem: 'must be of type string' }
+    ]);
+});
+
+test('enum and object rules', () => {
+    const schema = { state: { type: 'string', enum: ['sent', 'failed'] }, meta: { type: 'object' } };
+
+    assert.deepStrictEqual(validate(schema, { state: 'sent', meta: {} }).problems, []);
+    assert.deepStrictEqual(validate(schema, { state: 'lost', meta: [] }).problems, [
+        { field: 'state', problem: 'must be one of: sent, failed' },
+        { field: 'meta', problem: 'must be of type object' }
+    ]);
+});
+
+test('dispatch rejects invalid payloads with INVALID_ARGUMENT and the field list', async (t) => {
+    let received = null;
+    commandRegistry.register({
+        name: 'test_validated',
+        schema: { count: { type: 'integer', required: true, min: 1 }, label: { type: 'string', default: 'none' } },
+        handler: async (ctx, data) => { received = data; }
+    });
+    t.after(() => commandRegistry.unregister('test_validated'));
+
+    await assert.rejects(commandRegistry.dispatch({}, 'test_validated', { count: 0 }), (error) => {
+        assert.strictEqual(error.code, ErrorCodes.INVALID_ARGUMENT);
+        assert.deepStrictEqual(error.fields, [{ field: 'count', problem: 'must be at least 1' }]);
+        return true;
+    });
+    await assert.rejects(commandRegistry.dispatch({}, 'test_validated', ['not', 'an', 'object']), { code: ErrorCodes.INVALID_ARGUMENT });
+    assert.strictEqual(received, null);
+
+    await commandRegistry.dispatch({}, 'test_validated', { count: 2 });
+    assert.deepStrictEqual(received, { count: 2, label: 'none' });
+});
+
+test('dispatch checks requirements after validation and rejects unknown commands', async (t) => {
+    let connected = false;
+    commandRegistry.defineRequirement('test_connected', () => connected, 'Not connected', ErrorCodes.NOT_CONNECTED);
+    commandRegistry.register({
+        name: 'test_requires',
+        schema: { id: { type: 'string', required: true } },
+        requires: ['test_connected'],
+        handler: async () => {}
+    });
+    t.after(() => commandRegistry.unregister('test_requires'));
+
+    await assert.rejects(commandRegistry.dispatch({}, 'test_requires', {}), { code: ErrorCodes.INVALID_ARGUMENT });
+    await assert.rejects(commandRegistry.dispatch({}, 'test_requires', { id: 'a' }), { code: ErrorCodes.NOT_CONNECTED });
+
+    connected = true;
+    await commandRegistry.dispatch({}, 'test_requires', { id: 'a' });
+
+    await assert.rejects(commandRegistry.dispatch({}, 'no_such_command', {}), { code: ErrorCodes.UNKNOWN_COMMAND });
+});
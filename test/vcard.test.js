@@ -0,0 +1,70 @@
+// Tests for reading and writing contact cards in vcard.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseVCard, buildVCard } = require('../src/vcard.js');
+
+test('a built vCard parses back to the same contact', () => {
+    const vcard = buildVCard({
+        name: 'Doe; Jane, Jr.',
+        phoneNumber: '+1 (555) 010-9999',
+        organization: 'Acme, Inc.',
+        email: 'jane@example.com'
+    });
+
+    assert.deepStrictEqual(parseVCard(vcard), {
+        name: 'Doe; Jane, Jr.',
+        phones: [{ number: '+1 (555) 010-9999', type: 'CELL,VOICE', jid: '15550109999@s.whatsapp.net' }],
+        emails: ['jane@example.com'],
+        organization: 'Acme, Inc.'
+    });
+});
+
+test('backslashes and line breaks survive a round trip', () => {
+    const vcard = buildVCard({ name: 'C:\\new\nline', phoneNumber: '+49 30 1234' });
+
+    assert.strictEqual(parseVCard(vcard).name, 'C:\\new\nline');
+});
+
+test('N is split on unescaped semicolons only', () => {
+    const vcard = 'BEGIN:VCARD\nVERSION:3.0\nN:Doe\\;X;John;;;\nEND:VCARD';
+
+    assert.strictEqual(parseVCard(vcard).name, 'John Doe;X');
+});
+
+test('ORG components are joined, escaped separators are kept', () => {
+    const vcard = 'BEGIN:VCARD\nORG:Acme\\, Inc.;Sales\\;Support,EMEA\nEND:VCARD';
+
+    assert.strictEqual(parseVCard(vcard).organization, 'Acme, Inc., Sales;Support, EMEA');
+});
+
+test('FN wins over N and the display name wins over both', () => {
+    const vcard = 'BEGIN:VCARD\nN:Doe;John\nFN:Johnny\nEND:VCARD';
+
+    assert.strictEqual(parseVCard(vcard).name, 'Johnny');
+    assert.strictEqual(parseVCard(vcard, 'Shown Name').name, 'Shown Name');
+});
+
+test('grouped properties, CRLF line ends and folded lines are understood', () => {
+    const vcard = [
+        'BEGIN:VCARD',
+        'FN:Jane',
+        'item1.TEL;waid=4930123:+49 30',
+        ' 123',
+        'item1.X-ABLabel:Mobile',
+        'EMAIL;type=INTERNET:jane@example.com',
+        'END:VCARD'
+    ].join('\r\n');
+
+    assert.deepStrictEqual(parseVCard(vcard), {
+        name: 'Jane',
+        phones: [{ number: '+49 30123', type: null, jid: '4930123@s.whatsapp.net' }],
+        emails: ['jane@example.com'],
+        organization: null
+    });
+});
+
+test('an empty card yields an empty contact', () => {
+    assert.deepStrictEqual(parseVCard(null, 'Someone'), { name: 'Someone', phones: [], emails: [], organization: null });
+});